@@ -1,5 +1,5 @@
-import React, { useState, useEffect } from 'react';
-import { Routes, Route, useLocation } from 'react-router-dom';
+import React, { useState, useEffect, useCallback } from 'react';
+import { Routes, Route, useLocation, useNavigate } from 'react-router-dom';
 import {
   Box,
   AppBar,
@@ -26,38 +26,66 @@ import {
   Menu as MenuIcon,
   Close as CloseIcon,
   Circle as StatusIcon,
+  Logout as LogoutIcon,
+  ViewModule as VideoWallIcon,
 } from '@mui/icons-material';
 
 // Import pages
 import Dashboard from './pages/Dashboard';
 import Streams from './pages/Streams';
+import VideoWall from './pages/VideoWall';
 import AI from './pages/AI';
 import Alerts from './pages/Alerts';
 import Analytics from './pages/Analytics';
 import Settings from './pages/Settings';
+import Login from './pages/Login';
 
 // Import components
-import SocketProvider from './components/SocketProvider';
+import SocketProvider, { useSocketEvent } from './components/SocketProvider';
 import AlertBadge from './components/AlertBadge';
+import RequireAuth from './components/RequireAuth';
+import { apiService } from './services/api';
 
 const drawerWidth = 240;
 
 const menuItems = [
   { text: 'Dashboard', icon: <DashboardIcon />, path: '/' },
   { text: 'Streams', icon: <StreamsIcon />, path: '/streams' },
+  { text: 'Video Wall', icon: <VideoWallIcon />, path: '/wall' },
   { text: 'AI Models', icon: <AIIcon />, path: '/ai' },
   { text: 'Alerts', icon: <AlertsIcon />, path: '/alerts' },
   { text: 'Analytics', icon: <AnalyticsIcon />, path: '/analytics' },
   { text: 'Settings', icon: <SettingsIcon />, path: '/settings' },
 ];
 
-function App() {
+// Active alert count, refreshed whenever the server pushes an alert change
+function ActiveAlertsBadge() {
+  const [count, setCount] = useState(0);
+
+  const refresh = useCallback(() => {
+    apiService.getActiveAlerts()
+      .then(res => setCount(res.data.length))
+      .catch(() => {});
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  useSocketEvent('alert-created', refresh);
+  useSocketEvent('alert-updated', refresh);
+  useSocketEvent('alert-deleted', refresh);
+
+  return <AlertBadge count={count} />;
+}
+
+function Layout() {
   const [mobileOpen, setMobileOpen] = useState(false);
   const [systemStatus, setSystemStatus] = useState('online');
-  const [activeAlerts, setActiveAlerts] = useState(0);
   const theme = useTheme();
   const isMobile = useMediaQuery(theme.breakpoints.down('md'));
   const location = useLocation();
+  const navigate = useNavigate();
 
   useEffect(() => {
     // Check system status
@@ -77,6 +105,11 @@ function App() {
     return () => clearInterval(interval);
   }, []);
 
+  const handleLogout = async () => {
+    await apiService.logout();
+    navigate('/login', { replace: true });
+  };
+
   const handleDrawerToggle = () => {
     setMobileOpen(!mobileOpen);
   };
@@ -161,7 +194,11 @@ function App() {
             />
             
             {/* Active Alerts Badge */}
-            <AlertBadge count={activeAlerts} />
+            <ActiveAlertsBadge />
+
+            <IconButton color="inherit" aria-label="log out" onClick={handleLogout} sx={{ ml: 1 }}>
+              <LogoutIcon />
+            </IconButton>
           </Toolbar>
         </AppBar>
 
@@ -225,6 +262,7 @@ function App() {
           <Routes>
             <Route path="/" element={<Dashboard />} />
             <Route path="/streams" element={<Streams />} />
+            <Route path="/wall" element={<VideoWall />} />
             <Route path="/ai" element={<AI />} />
             <Route path="/alerts" element={<Alerts />} />
             <Route path="/analytics" element={<Analytics />} />
@@ -236,4 +274,20 @@ function App() {
   );
 }
 
+function App() {
+  return (
+    <Routes>
+      <Route path="/login" element={<Login />} />
+      <Route
+        path="*"
+        element={
+          <RequireAuth>
+            <Layout />
+          </RequireAuth>
+        }
+      />
+    </Routes>
+  );
+}
+
 export default App; 
\ No newline at end of file
@@ -0,0 +1,189 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Box, Chip, FormControlLabel, Switch } from '@mui/material';
+import LivePlayer from './LivePlayer';
+import { useLiveResults } from './SocketProvider';
+
+const MODELS = [
+  { type: 'object-detection', label: 'Objects', color: '#2196f3' },
+  { type: 'face-recognition', label: 'Faces', color: '#4caf50' },
+  { type: 'defect-analysis', label: 'Defects', color: '#f44336' },
+  { type: 'motion-detection', label: 'Motion', color: '#ff9800' },
+];
+
+// Results further than this behind the playing frame are stale and not drawn
+const MAX_RESULT_AGE = 2000;
+
+// Enough results to cover the few seconds the live video lags behind the AI
+const RESULT_BUFFER = 300;
+
+const percent = (value) => (value != null ? ` ${Math.round(value * 100)}%` : '');
+
+// Boxes in frame pixels with their captions, whatever the model type
+const extractBoxes = (result) => {
+  const analysis = result.analysis || {};
+  const boxes = [];
+
+  (result.detections || []).forEach(detection => {
+    boxes.push({ ...detection.bbox, caption: `${detection.label}${percent(detection.confidence)}` });
+  });
+  (analysis.faces || []).forEach(face => {
+    if (face.bbox) boxes.push({ ...face.bbox, caption: `${face.name || 'Face'}${percent(face.confidence)}` });
+  });
+  (analysis.defects || []).forEach(defect => {
+    if (defect.location) {
+      boxes.push({ ...defect.location, caption: `${defect.type} (${defect.severity})${percent(defect.confidence)}` });
+    }
+  });
+  (analysis.motion?.regions || []).forEach(region => {
+    boxes.push({ ...region, caption: `motion${percent(region.intensity)}` });
+  });
+
+  return boxes;
+};
+
+// Latest result of a model at or before the given wall-clock time
+const resultAt = (results, modelType, time) => {
+  const result = results.find(item =>
+    item.modelType === modelType && new Date(item.timestamp).getTime() <= time
+  );
+  if (!result || time - new Date(result.timestamp).getTime() > MAX_RESULT_AGE) {
+    return null;
+  }
+  return result;
+};
+
+const drawCaption = (context, text, x, y, color) => {
+  context.font = '12px Roboto, Helvetica, Arial, sans-serif';
+  const width = context.measureText(text).width + 6;
+  // Inside the box when there is no room above it
+  const top = y >= 16 ? y - 16 : y;
+
+  context.fillStyle = color;
+  context.fillRect(x, top, width, 16);
+  context.fillStyle = '#fff';
+  context.fillText(text, x + 3, top + 12);
+};
+
+function DetectionOverlayPlayer({ streamId, height = 360, models = MODELS.map(model => model.type) }) {
+  const [enabled, setEnabled] = useState(() => new Set(models));
+  const [showCaptions, setShowCaptions] = useState(true);
+  const results = useLiveResults(streamId, { limit: RESULT_BUFFER });
+  const resultsRef = useRef(results);
+  const playerRef = useRef(null);
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    resultsRef.current = results;
+  }, [results]);
+
+  useEffect(() => {
+    let animationFrame;
+
+    const draw = () => {
+      animationFrame = requestAnimationFrame(draw);
+
+      const canvas = canvasRef.current;
+      if (!canvas) return;
+
+      const { clientWidth, clientHeight } = canvas;
+      const ratio = window.devicePixelRatio || 1;
+      if (canvas.width !== clientWidth * ratio || canvas.height !== clientHeight * ratio) {
+        canvas.width = clientWidth * ratio;
+        canvas.height = clientHeight * ratio;
+      }
+
+      const context = canvas.getContext('2d');
+      context.setTransform(ratio, 0, 0, ratio, 0, 0);
+      context.clearRect(0, 0, clientWidth, clientHeight);
+
+      const video = playerRef.current?.getInternalPlayer();
+      if (!video || !video.videoWidth) return;
+
+      // The picture is letterboxed inside the element (object-fit: contain)
+      const scale = Math.min(clientWidth / video.videoWidth, clientHeight / video.videoHeight);
+      const pictureWidth = video.videoWidth * scale;
+      const pictureHeight = video.videoHeight * scale;
+      const offsetX = (clientWidth - pictureWidth) / 2;
+      const offsetY = (clientHeight - pictureHeight) / 2;
+
+      // Wall-clock time of the frame on screen, from the playlist's program date times
+      const hls = playerRef.current.getInternalPlayer('hls');
+      const playingTime = hls?.playingDate ? hls.playingDate.getTime() : Date.now();
+
+      MODELS.filter(model => enabled.has(model.type)).forEach(({ type, color }) => {
+        const result = resultAt(resultsRef.current, type, playingTime);
+        if (!result) return;
+
+        // Boxes are in the pixels of the frame the model saw
+        const frameSize = result.imageData?.originalSize || {};
+        const scaleX = pictureWidth / (frameSize.width || video.videoWidth);
+        const scaleY = pictureHeight / (frameSize.height || video.videoHeight);
+
+        context.strokeStyle = color;
+        context.lineWidth = 2;
+
+        extractBoxes(result).forEach(box => {
+          const x = offsetX + box.x * scaleX;
+          const y = offsetY + box.y * scaleY;
+          context.strokeRect(x, y, box.width * scaleX, box.height * scaleY);
+          if (showCaptions) {
+            drawCaption(context, box.caption, x, y, color);
+          }
+        });
+      });
+    };
+
+    animationFrame = requestAnimationFrame(draw);
+    return () => cancelAnimationFrame(animationFrame);
+  }, [enabled, showCaptions]);
+
+  const toggleModel = (type) => {
+    setEnabled(current => {
+      const next = new Set(current);
+      if (next.has(type)) {
+        next.delete(type);
+      } else {
+        next.add(type);
+      }
+      return next;
+    });
+  };
+
+  return (
+    <Box>
+      <LivePlayer streamId={streamId} height={height} playerRef={playerRef}>
+        <Box
+          component="canvas"
+          ref={canvasRef}
+          sx={{ position: 'absolute', inset: 0, width: '100%', height: '100%', pointerEvents: 'none' }}
+        />
+      </LivePlayer>
+      <Box display="flex" alignItems="center" flexWrap="wrap" sx={{ mt: 1 }}>
+        {MODELS.map(({ type, label, color }) => (
+          <Chip
+            key={type}
+            label={label}
+            size="small"
+            variant={enabled.has(type) ? 'filled' : 'outlined'}
+            onClick={() => toggleModel(type)}
+            sx={{
+              mr: 1,
+              borderColor: color,
+              backgroundColor: enabled.has(type) ? color : 'transparent',
+              color: '#fff',
+            }}
+          />
+        ))}
+        <FormControlLabel
+          control={
+            <Switch size="small" checked={showCaptions} onChange={(event) => setShowCaptions(event.target.checked)} />
+          }
+          label="Captions"
+          sx={{ ml: 1 }}
+        />
+      </Box>
+    </Box>
+  );
+}
+
+export default DetectionOverlayPlayer;
@@ -0,0 +1,81 @@
+import React, { useEffect, useRef, useState } from 'react';
+import ReactPlayer from 'react-player';
+import { Box, Typography, CircularProgress } from '@mui/material';
+import { apiService, getAccessToken } from '../services/api';
+
+// Retry while the server is still writing the first HLS segments
+const RETRY_DELAY = 3000;
+
+// Children are laid over the video, playerRef exposes the ReactPlayer instance
+function LivePlayer({ streamId, muted = true, height = 360, playerRef, children }) {
+  const [retryKey, setRetryKey] = useState(0);
+  const [ready, setReady] = useState(false);
+  const retryTimer = useRef(null);
+
+  useEffect(() => {
+    setReady(false);
+    return () => clearTimeout(retryTimer.current);
+  }, [streamId]);
+
+  const handleError = () => {
+    setReady(false);
+    clearTimeout(retryTimer.current);
+    // The access token may have expired while playing: any API call refreshes
+    // it on the 401, so the remounted player sends a valid one
+    apiService
+      .getCurrentUser()
+      .catch(() => {})
+      .finally(() => {
+        retryTimer.current = setTimeout(() => setRetryKey((value) => value + 1), RETRY_DELAY);
+      });
+  };
+
+  return (
+    <Box sx={{ position: 'relative', backgroundColor: '#000', height }}>
+      <ReactPlayer
+        // Remount on retry so hls.js reloads the playlist from scratch
+        key={`${streamId}-${retryKey}`}
+        ref={playerRef}
+        url={apiService.getLiveUrl(streamId)}
+        playing
+        muted={muted}
+        controls
+        width="100%"
+        height="100%"
+        onReady={() => setReady(true)}
+        onError={handleError}
+        config={{
+          file: {
+            forceHLS: true,
+            hlsOptions: {
+              liveSyncDurationCount: 2,
+              // Playlist and segment requests need the access token too
+              xhrSetup: (xhr) => xhr.setRequestHeader('Authorization', `Bearer ${getAccessToken()}`),
+            },
+          },
+        }}
+      />
+      {children}
+      {!ready && (
+        <Box
+          sx={{
+            position: 'absolute',
+            inset: 0,
+            display: 'flex',
+            flexDirection: 'column',
+            alignItems: 'center',
+            justifyContent: 'center',
+            pointerEvents: 'none',
+          }}
+        >
+          <CircularProgress size={32} />
+          <Typography variant="caption" color="text.secondary" sx={{ mt: 1 }}>
+            Starting live view...
+          </Typography>
+        </Box>
+      )}
+    </Box>
+  );
+}
+
+export default LivePlayer;
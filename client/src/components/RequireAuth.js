@@ -0,0 +1,16 @@
+import React from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import { apiService } from '../services/api';
+
+// Send signed-out users to the login page, then back to where they were going
+function RequireAuth({ children }) {
+  const location = useLocation();
+
+  if (!apiService.isAuthenticated()) {
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+
+  return children;
+}
+
+export default RequireAuth;
@@ -1,15 +1,172 @@
-import React, { createContext } from 'react';
+import React, { createContext, useCallback, useContext, useEffect, useRef, useState } from 'react';
+import { io } from 'socket.io-client';
+import { apiService, getAccessToken } from '../services/api';
 
-// This is a placeholder. Implement socket logic as needed.
-export const SocketContext = createContext();
+const SOCKET_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+
+// Handshakes rejected even after a refresh are retried with backoff, then given up on
+const AUTH_RETRY_DELAY = 1000;
+const AUTH_RETRY_DELAY_MAX = 30000;
+const MAX_AUTH_RETRIES = 5;
+
+export const SocketContext = createContext({
+  socket: null,
+  connected: false,
+  joinStream: () => {},
+  leaveStream: () => {},
+});
 
 function SocketProvider({ children }) {
-  // Add socket connection logic here if needed
+  const [socket, setSocket] = useState(null);
+  const [connected, setConnected] = useState(false);
+  const socketRef = useRef(null);
+  // Components watching each stream room, so a room is only left when the last one unmounts
+  const rooms = useRef(new Map());
+
+  useEffect(() => {
+    let authRetries = 0;
+    let authRetryTimer = null;
+
+    const client = io(SOCKET_URL, {
+      // Read on every attempt so reconnects use the latest access token
+      auth: (callback) => callback({ token: getAccessToken() }),
+      reconnection: true,
+      reconnectionDelay: 1000,
+      reconnectionDelayMax: 10000,
+    });
+
+    client.on('connect', () => {
+      authRetries = 0;
+      setConnected(true);
+      // The server forgets room membership when the connection drops
+      rooms.current.forEach((count, streamId) => client.emit('join-stream', streamId));
+    });
+    client.on('disconnect', (reason) => {
+      setConnected(false);
+      // The server drops connections when the user's access changes; connect again to be scoped anew
+      if (reason === 'io server disconnect') {
+        client.connect();
+      }
+    });
+    client.on('connect_error', (error) => {
+      // Rejected handshakes are not retried; any API call refreshes the session
+      // (or sends the user to log in), then try again
+      if (error.message !== 'Unauthorized' || authRetries >= MAX_AUTH_RETRIES) {
+        return;
+      }
+      const delay = Math.min(AUTH_RETRY_DELAY * 2 ** authRetries, AUTH_RETRY_DELAY_MAX);
+      authRetries += 1;
+      clearTimeout(authRetryTimer);
+      authRetryTimer = setTimeout(() => {
+        apiService.getCurrentUser().then(() => client.connect()).catch(() => {});
+      }, delay);
+    });
+
+    socketRef.current = client;
+    setSocket(client);
+
+    return () => {
+      clearTimeout(authRetryTimer);
+      socketRef.current = null;
+      client.disconnect();
+    };
+  }, []);
+
+  const joinStream = useCallback((streamId) => {
+    const count = rooms.current.get(streamId) || 0;
+    rooms.current.set(streamId, count + 1);
+    if (count === 0 && socketRef.current?.connected) {
+      socketRef.current.emit('join-stream', streamId);
+    }
+  }, []);
+
+  const leaveStream = useCallback((streamId) => {
+    const count = rooms.current.get(streamId) || 0;
+    if (count <= 1) {
+      rooms.current.delete(streamId);
+      if (socketRef.current?.connected) {
+        socketRef.current.emit('leave-stream', streamId);
+      }
+    } else {
+      rooms.current.set(streamId, count - 1);
+    }
+  }, []);
+
   return (
-    <SocketContext.Provider value={{}}>
+    <SocketContext.Provider value={{ socket, connected, joinStream, leaveStream }}>
       {children}
     </SocketContext.Provider>
   );
 }
 
-export default SocketProvider;
\ No newline at end of file
+export const useSocket = () => useContext(SocketContext);
+
+// Run the handler for a server event while the component is mounted
+export const useSocketEvent = (event, handler) => {
+  const { socket } = useSocket();
+  const handlerRef = useRef(handler);
+
+  useEffect(() => {
+    handlerRef.current = handler;
+  });
+
+  useEffect(() => {
+    if (!socket) return undefined;
+
+    const listener = (payload) => handlerRef.current(payload);
+    socket.on(event, listener);
+    return () => socket.off(event, listener);
+  }, [socket, event]);
+};
+
+// Latest pushed status of one stream, or a map of every stream's status when no id is given
+export const useStreamStatus = (streamId) => {
+  const [statuses, setStatuses] = useState({});
+
+  useSocketEvent('stream-status-updated', ({ streamId: id, status }) => {
+    setStatuses(current => ({ ...current, [id]: status }));
+  });
+
+  return streamId ? statuses[streamId] : statuses;
+};
+
+// Alerts raised or changed since mount, newest first
+export const useLiveAlerts = ({ limit = 50 } = {}) => {
+  const [alerts, setAlerts] = useState([]);
+
+  const upsert = (alert) => {
+    setAlerts(current => [alert, ...current.filter(item => item._id !== alert._id)].slice(0, limit));
+  };
+
+  useSocketEvent('alert-created', upsert);
+  useSocketEvent('alert-updated', upsert);
+  useSocketEvent('alert-deleted', ({ _id }) => {
+    setAlerts(current => current.filter(item => item._id !== _id));
+  });
+
+  return alerts;
+};
+
+// AI results of a stream while the component is mounted, newest first
+export const useLiveResults = (streamId, { limit = 20 } = {}) => {
+  const { joinStream, leaveStream } = useSocket();
+  const [results, setResults] = useState([]);
+
+  useEffect(() => {
+    if (!streamId) return undefined;
+
+    setResults([]);
+    joinStream(streamId);
+    return () => leaveStream(streamId);
+  }, [streamId, joinStream, leaveStream]);
+
+  useSocketEvent('ai-result', (result) => {
+    if (result.streamId === streamId) {
+      setResults(current => [result, ...current].slice(0, limit));
+    }
+  });
+
+  return results;
+};
+
+export default SocketProvider;
@@ -1,9 +1,40 @@
-import React from 'react';
-import { Card, CardContent, Typography, Chip, Box } from '@mui/material';
+import React, { useEffect, useState } from 'react';
+import { Card, CardContent, CardMedia, Typography, Chip, Box } from '@mui/material';
+import { apiService } from '../services/api';
+
+// How often the thumbnail is refetched
+const THUMBNAIL_REFRESH = 10000;
+
+function StreamCard({ streamId, name, description, status, location, tags, children }) {
+  const [refresh, setRefresh] = useState(Date.now());
+  const [hasThumbnail, setHasThumbnail] = useState(true);
+
+  useEffect(() => {
+    if (!streamId) return undefined;
+
+    setHasThumbnail(true);
+    const timer = setInterval(() => setRefresh(Date.now()), THUMBNAIL_REFRESH);
+    return () => clearInterval(timer);
+  }, [streamId]);
 
-function StreamCard({ name, description, status, location, tags }) {
   return (
     <Card sx={{ mb: 2 }}>
+      {streamId && (
+        <CardMedia
+          component="img"
+          height="180"
+          // The query string defeats browser caching of the latest frame
+          image={apiService.getSnapshotUrl(streamId, { t: refresh })}
+          alt={name}
+          onLoad={() => setHasThumbnail(true)}
+          onError={() => {
+            setHasThumbnail(false);
+            // Refresh an expired access token before the next refetch puts it in the URL
+            apiService.getCurrentUser().catch(() => {});
+          }}
+          sx={{ display: hasThumbnail ? 'block' : 'none', objectFit: 'cover', backgroundColor: '#000' }}
+        />
+      )}
       <CardContent>
         <Box display="flex" alignItems="center" justifyContent="space-between">
           <Typography variant="h6">{name}</Typography>
@@ -26,9 +57,10 @@ function StreamCard({ name, description, status, location, tags }) {
             <Chip key={idx} label={tag} size="small" sx={{ mr: 0.5 }} />
           ))}
         </Box>
+        {children}
       </CardContent>
     </Card>
   );
 }
 
-export default StreamCard;
\ No newline at end of file
+export default StreamCard;
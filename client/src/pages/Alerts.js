@@ -1,26 +1,42 @@
 import React, { useEffect, useState } from 'react';
 import { Typography, Box, Card, CardContent } from '@mui/material';
+import { useLiveAlerts, useSocketEvent } from '../components/SocketProvider';
+import { apiService } from '../services/api';
 
 function Alerts() {
   const [alerts, setAlerts] = useState([]);
+  const liveAlerts = useLiveAlerts();
 
   useEffect(() => {
-    fetch('/api/alerts')
-      .then(res => res.json())
-      .then(data => setAlerts(data));
+    apiService.getAlerts()
+      .then(res => setAlerts(res.data))
+      .catch(() => setAlerts([]));
   }, []);
 
+  useSocketEvent('alert-deleted', ({ _id }) => {
+    setAlerts(current => current.filter(alert => alert._id !== _id));
+  });
+
+  // Pushed alerts replace their fetched copies
+  const shown = [
+    ...liveAlerts,
+    ...alerts.filter(alert => !liveAlerts.some(live => live._id === alert._id)),
+  ];
+
   return (
     <Box>
       <Typography variant="h4" gutterBottom>
         Alerts
       </Typography>
-      {alerts.map((alert, idx) => (
-        <Card key={idx} sx={{ mb: 2 }}>
+      {shown.map(alert => (
+        <Card key={alert._id} sx={{ mb: 2 }}>
           <CardContent>
             <Typography variant="h6">{alert.title}</Typography>
             <Typography>{alert.message}</Typography>
-            <Typography variant="caption">{alert.timestamp}</Typography>
+            <Typography variant="caption">
+              {alert.timestamp}
+              {alert.occurrences > 1 && ` · ${alert.occurrences} occurrences, last seen ${alert.lastSeenAt}`}
+            </Typography>
           </CardContent>
         </Card>
       ))}
@@ -0,0 +1,72 @@
+import React, { useState } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { Box, Button, Card, CardContent, TextField, Typography } from '@mui/material';
+import { apiService } from '../services/api';
+
+function Login() {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSubmitting(true);
+    try {
+      await apiService.login(username, password);
+      navigate(location.state?.from?.pathname || '/', { replace: true });
+    } catch (error) {
+      // The API interceptor already showed the error
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Box
+      display="flex"
+      alignItems="center"
+      justifyContent="center"
+      sx={{ minHeight: '100vh', backgroundColor: '#0a0a0a' }}
+    >
+      <Card sx={{ width: 360 }}>
+        <CardContent>
+          <Typography variant="h5" gutterBottom sx={{ fontWeight: 'bold' }}>
+            VMS Dashboard
+          </Typography>
+          <Box component="form" onSubmit={handleSubmit}>
+            <TextField
+              label="Username"
+              value={username}
+              onChange={(event) => setUsername(event.target.value)}
+              autoComplete="username"
+              autoFocus
+              fullWidth
+              margin="normal"
+            />
+            <TextField
+              label="Password"
+              type="password"
+              value={password}
+              onChange={(event) => setPassword(event.target.value)}
+              autoComplete="current-password"
+              fullWidth
+              margin="normal"
+            />
+            <Button
+              type="submit"
+              variant="contained"
+              fullWidth
+              disabled={submitting || !username || !password}
+              sx={{ mt: 2 }}
+            >
+              Log in
+            </Button>
+          </Box>
+        </CardContent>
+      </Card>
+    </Box>
+  );
+}
+
+export default Login;
@@ -1,13 +1,23 @@
 import React, { useEffect, useState } from 'react';
-import { Typography, Box, Card, CardContent } from '@mui/material';
+import { Typography, Box, Card, CardContent, Button } from '@mui/material';
+import { LiveTv as LiveIcon } from '@mui/icons-material';
+import DetectionOverlayPlayer from '../components/DetectionOverlayPlayer';
+import StreamCard from '../components/StreamCard';
+import { apiService } from '../services/api';
+import { useStreamStatus } from '../components/SocketProvider';
 
 function Streams() {
   const [streams, setStreams] = useState([]);
+  const [watching, setWatching] = useState(null);
+  const liveStatuses = useStreamStatus();
+
+  // Pushed status changes win over the status fetched on load
+  const statusOf = (stream) => liveStatuses[stream._id] || stream.status;
 
   useEffect(() => {
-    fetch('/api/streams')
-      .then(res => res.json())
-      .then(data => setStreams(data));
+    apiService.getStreams({ limit: 100 })
+      .then(res => setStreams(res.data.data))
+      .catch(() => setStreams([]));
   }, []);
 
   return (
@@ -15,16 +25,43 @@ function Streams() {
       <Typography variant="h4" gutterBottom>
         Active Streams
       </Typography>
-      {streams.map(stream => (
-        <Card key={stream.name} sx={{ mb: 2 }}>
+      {watching && (
+        <Card sx={{ mb: 2 }}>
           <CardContent>
-            <Typography variant="h6">{stream.name}</Typography>
-            <Typography>{stream.description}</Typography>
+            <Box display="flex" alignItems="center" justifyContent="space-between" sx={{ mb: 1 }}>
+              <Typography variant="h6">{watching.name}</Typography>
+              <Button size="small" onClick={() => setWatching(null)}>
+                Close
+              </Button>
+            </Box>
+            <DetectionOverlayPlayer streamId={watching._id} />
           </CardContent>
         </Card>
+      )}
+      {streams.map(stream => (
+        <StreamCard
+          key={stream._id}
+          streamId={stream._id}
+          name={stream.name}
+          description={stream.description}
+          status={statusOf(stream)}
+          location={stream.metadata?.location}
+          tags={stream.metadata?.tags}
+        >
+          {statusOf(stream) === 'active' && (
+            <Button
+              size="small"
+              startIcon={<LiveIcon />}
+              onClick={() => setWatching(stream)}
+              sx={{ mt: 1 }}
+            >
+              Watch live
+            </Button>
+          )}
+        </StreamCard>
       ))}
     </Box>
   );
 }
 
-export default Streams;
\ No newline at end of file
+export default Streams;
@@ -0,0 +1,320 @@
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  Typography,
+  Box,
+  Button,
+  Chip,
+  FormControl,
+  FormControlLabel,
+  Checkbox,
+  IconButton,
+  InputLabel,
+  MenuItem,
+  Select,
+  TextField,
+} from '@mui/material';
+import { Close as CloseIcon, Save as SaveIcon, Delete as DeleteIcon } from '@mui/icons-material';
+import toast from 'react-hot-toast';
+import LivePlayer from '../components/LivePlayer';
+import { useStreamStatus, useSocketEvent } from '../components/SocketProvider';
+import { apiService, getStatusColor } from '../services/api';
+
+const PRESETS = [
+  { label: '1x1', rows: 1, columns: 1 },
+  { label: '2x2', rows: 2, columns: 2 },
+  { label: '3x3', rows: 3, columns: 3 },
+  { label: '4x4', rows: 4, columns: 4 },
+];
+
+const MAX_GRID_SIZE = 8;
+
+const clampGridSize = (value) => Math.min(Math.max(parseInt(value) || 1, 1), MAX_GRID_SIZE);
+
+// How long a tile flashes after its stream raises an alert
+const ALERT_FLASH_DURATION = 10000;
+
+const NEW_LAYOUT = { _id: '', name: 'New layout', rows: 2, columns: 2, isDefault: false };
+
+// Stream IDs by cell, empty cells are null
+const toCells = (layout) => {
+  const cells = Array(layout.rows * layout.columns).fill(null);
+  (layout.tiles || []).forEach(tile => {
+    if (tile.position < cells.length) {
+      cells[tile.position] = tile.streamId?._id || tile.streamId;
+    }
+  });
+  return cells;
+};
+
+const toTiles = (cells) => cells
+  .map((streamId, position) => ({ position, streamId }))
+  .filter(tile => tile.streamId);
+
+function VideoWall() {
+  const [streams, setStreams] = useState([]);
+  const [layouts, setLayouts] = useState([]);
+  const [layout, setLayout] = useState(NEW_LAYOUT);
+  const [cells, setCells] = useState(toCells(NEW_LAYOUT));
+  const [customGrid, setCustomGrid] = useState(false);
+  const [flashing, setFlashing] = useState({});
+  const flashTimers = useRef({});
+  const liveStatuses = useStreamStatus();
+
+  useEffect(() => {
+    apiService.getStreams({ limit: 100 })
+      .then(res => setStreams(res.data.data))
+      .catch(() => setStreams([]));
+
+    apiService.getLayouts()
+      .then(res => {
+        setLayouts(res.data.data);
+        // Layouts come back with the default first
+        const [first] = res.data.data;
+        if (first) {
+          setLayout(first);
+          setCells(toCells(first));
+        }
+      })
+      .catch(() => setLayouts([]));
+
+    const timers = flashTimers.current;
+    return () => Object.values(timers).forEach(clearTimeout);
+  }, []);
+
+  useSocketEvent('alert-created', (alert) => {
+    const streamId = alert.streamId?._id || alert.streamId;
+    if (!streamId) return;
+
+    setFlashing(current => ({ ...current, [streamId]: true }));
+    clearTimeout(flashTimers.current[streamId]);
+    flashTimers.current[streamId] = setTimeout(() => {
+      setFlashing(current => ({ ...current, [streamId]: false }));
+    }, ALERT_FLASH_DURATION);
+  });
+
+  const openLayout = (next) => {
+    setLayout(next);
+    setCells(toCells(next));
+  };
+
+  const resizeGrid = (rows, columns) => {
+    setLayout(current => ({ ...current, rows, columns }));
+    // Streams keep their cell index; cells beyond the new grid are dropped
+    setCells(current => Array.from({ length: rows * columns }, (_, index) => current[index] || null));
+  };
+
+  const setCell = (position, streamId) => {
+    setCells(current => current.map((cell, index) => (index === position ? streamId : cell)));
+  };
+
+  const moveCell = (from, to) => {
+    if (from === to) return;
+    setCells(current => {
+      const next = [...current];
+      [next[from], next[to]] = [next[to], next[from]];
+      return next;
+    });
+  };
+
+  const saveLayout = async () => {
+    const data = {
+      name: layout.name,
+      rows: layout.rows,
+      columns: layout.columns,
+      isDefault: layout.isDefault,
+      tiles: toTiles(cells),
+    };
+    const res = layout._id
+      ? await apiService.updateLayout(layout._id, data)
+      : await apiService.createLayout(data);
+    const saved = res.data.data;
+
+    setLayout(saved);
+    setLayouts(current => [
+      ...current
+        .filter(item => item._id !== saved._id)
+        .map(item => (saved.isDefault ? { ...item, isDefault: false } : item)),
+      saved,
+    ]);
+    toast.success(`Layout "${saved.name}" saved`);
+  };
+
+  const deleteLayout = async () => {
+    await apiService.deleteLayout(layout._id);
+    setLayouts(current => current.filter(item => item._id !== layout._id));
+    openLayout(NEW_LAYOUT);
+  };
+
+  const streamById = (streamId) => streams.find(stream => stream._id === streamId);
+  const preset = !customGrid && PRESETS.find(item => item.rows === layout.rows && item.columns === layout.columns);
+
+  return (
+    <Box>
+      <Typography variant="h4" gutterBottom>
+        Video Wall
+      </Typography>
+
+      <Box display="flex" alignItems="center" flexWrap="wrap" gap={2} sx={{ mb: 2 }}>
+        <FormControl size="small" sx={{ minWidth: 180 }}>
+          <InputLabel>Layout</InputLabel>
+          <Select
+            label="Layout"
+            value={layout._id}
+            onChange={(event) => openLayout(layouts.find(item => item._id === event.target.value) || NEW_LAYOUT)}
+          >
+            <MenuItem value="">New layout</MenuItem>
+            {layouts.map(item => (
+              <MenuItem key={item._id} value={item._id}>{item.name}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <TextField
+          size="small"
+          label="Name"
+          value={layout.name}
+          onChange={(event) => setLayout(current => ({ ...current, name: event.target.value }))}
+        />
+        <FormControl size="small" sx={{ minWidth: 120 }}>
+          <InputLabel>Grid</InputLabel>
+          <Select
+            label="Grid"
+            value={preset ? preset.label : 'custom'}
+            onChange={(event) => {
+              const next = PRESETS.find(item => item.label === event.target.value);
+              setCustomGrid(!next);
+              if (next) resizeGrid(next.rows, next.columns);
+            }}
+          >
+            {PRESETS.map(item => (
+              <MenuItem key={item.label} value={item.label}>{item.label}</MenuItem>
+            ))}
+            <MenuItem value="custom">Custom</MenuItem>
+          </Select>
+        </FormControl>
+        {!preset && (
+          <>
+            <TextField
+              size="small"
+              type="number"
+              label="Rows"
+              value={layout.rows}
+              inputProps={{ min: 1, max: MAX_GRID_SIZE }}
+              onChange={(event) => resizeGrid(clampGridSize(event.target.value), layout.columns)}
+              sx={{ width: 90 }}
+            />
+            <TextField
+              size="small"
+              type="number"
+              label="Columns"
+              value={layout.columns}
+              inputProps={{ min: 1, max: MAX_GRID_SIZE }}
+              onChange={(event) => resizeGrid(layout.rows, clampGridSize(event.target.value))}
+              sx={{ width: 90 }}
+            />
+          </>
+        )}
+        <FormControlLabel
+          control={
+            <Checkbox
+              checked={layout.isDefault}
+              onChange={(event) => setLayout(current => ({ ...current, isDefault: event.target.checked }))}
+            />
+          }
+          label="Default"
+        />
+        <Button variant="contained" startIcon={<SaveIcon />} onClick={() => saveLayout().catch(() => {})}>
+          Save
+        </Button>
+        {layout._id && (
+          <Button color="error" startIcon={<DeleteIcon />} onClick={() => deleteLayout().catch(() => {})}>
+            Delete
+          </Button>
+        )}
+      </Box>
+
+      <Box
+        sx={{
+          display: 'grid',
+          gridTemplateColumns: `repeat(${layout.columns}, 1fr)`,
+          gap: 1,
+        }}
+      >
+        {cells.map((streamId, position) => {
+          const stream = streamId && streamById(streamId);
+          const status = stream && (liveStatuses[stream._id] || stream.status);
+
+          return (
+            <Box
+              key={position}
+              draggable={Boolean(streamId)}
+              onDragStart={(event) => event.dataTransfer.setData('text/plain', String(position))}
+              onDragOver={(event) => event.preventDefault()}
+              onDrop={(event) => {
+                event.preventDefault();
+                moveCell(parseInt(event.dataTransfer.getData('text/plain')), position);
+              }}
+              sx={{
+                position: 'relative',
+                aspectRatio: '16 / 9',
+                backgroundColor: '#000',
+                border: '2px solid #333',
+                cursor: streamId ? 'move' : 'default',
+                ...(flashing[streamId] && {
+                  animation: 'alertFlash 1s ease-in-out infinite',
+                  '@keyframes alertFlash': {
+                    '0%, 100%': { borderColor: '#333' },
+                    '50%': { borderColor: '#f44336' },
+                  },
+                }),
+              }}
+            >
+              {stream ? (
+                <>
+                  {status === 'active' ? (
+                    <LivePlayer streamId={stream._id} height="100%" />
+                  ) : (
+                    <Box display="flex" alignItems="center" justifyContent="center" sx={{ height: '100%' }}>
+                      <Typography variant="caption" color="text.secondary">
+                        Not live
+                      </Typography>
+                    </Box>
+                  )}
+                  <Box
+                    display="flex"
+                    alignItems="center"
+                    sx={{ position: 'absolute', top: 4, left: 4, right: 4, pointerEvents: 'none' }}
+                  >
+                    <Typography variant="caption" noWrap sx={{ flexGrow: 1, textShadow: '0 0 4px #000' }}>
+                      {stream.name}
+                    </Typography>
+                    <Chip label={status} color={getStatusColor(status)} size="small" />
+                  </Box>
+                  <IconButton
+                    size="small"
+                    onClick={() => setCell(position, null)}
+                    sx={{ position: 'absolute', bottom: 4, right: 4, backgroundColor: 'rgba(0, 0, 0, 0.5)' }}
+                  >
+                    <CloseIcon fontSize="small" />
+                  </IconButton>
+                </>
+              ) : (
+                <Box display="flex" alignItems="center" justifyContent="center" sx={{ height: '100%' }}>
+                  <FormControl size="small" sx={{ minWidth: 160 }}>
+                    <InputLabel>Stream</InputLabel>
+                    <Select label="Stream" value="" onChange={(event) => setCell(position, event.target.value)}>
+                      {streams.map(item => (
+                        <MenuItem key={item._id} value={item._id}>{item.name}</MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                </Box>
+              )}
+            </Box>
+          );
+        })}
+      </Box>
+    </Box>
+  );
+}
+
+export default VideoWall;
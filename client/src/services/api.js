@@ -1,15 +1,51 @@
 import axios from 'axios';
 import toast from 'react-hot-toast';
 
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+
 // Create axios instance
 const api = axios.create({
-  baseURL: process.env.REACT_APP_API_URL || 'http://localhost:5000',
+  baseURL: API_URL,
   timeout: 30000,
   headers: {
     'Content-Type': 'application/json',
   },
 });
 
+// Session tokens
+export const getAccessToken = () => localStorage.getItem('authToken');
+
+const storeSession = ({ accessToken, refreshToken }) => {
+  localStorage.setItem('authToken', accessToken);
+  localStorage.setItem('refreshToken', refreshToken);
+};
+
+const clearSession = () => {
+  localStorage.removeItem('authToken');
+  localStorage.removeItem('refreshToken');
+};
+
+// Shared by requests that fail together, so the refresh token is only spent once
+let refreshing = null;
+
+const refreshSession = () => {
+  if (!refreshing) {
+    refreshing = axios
+      .post(`${API_URL}/api/auth/refresh`, { refreshToken: localStorage.getItem('refreshToken') })
+      .then(res => storeSession(res.data.data))
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+};
+
+// URLs the browser loads itself (images, video) cannot send headers
+const withToken = (url, params = {}) => {
+  const query = new URLSearchParams({ ...params, access_token: getAccessToken() || '' });
+  return `${url}?${query}`;
+};
+
 // Request interceptor
 api.interceptors.request.use(
   (config) => {
@@ -30,17 +66,35 @@ api.interceptors.response.use(
   (response) => {
     return response;
   },
-  (error) => {
-    const { response } = error;
+  async (error) => {
+    const { response, config } = error;
+    const isAuthRequest = config?.url?.startsWith('/api/auth/');
+
+    // Expired access token - refresh once and retry
+    if (response?.status === 401 && !isAuthRequest && !config._retried && localStorage.getItem('refreshToken')) {
+      config._retried = true;
+      try {
+        await refreshSession();
+        return api(config);
+      } catch (refreshError) {
+        // Fall through to the login redirect
+      }
+    }
     
     if (response) {
       const { status, data } = response;
       
       switch (status) {
         case 401:
+          if (isAuthRequest) {
+            toast.error(data?.message || 'Authentication failed.');
+            break;
+          }
           // Unauthorized - redirect to login
-          localStorage.removeItem('authToken');
-          window.location.href = '/login';
+          clearSession();
+          if (window.location.pathname !== '/login') {
+            window.location.href = '/login';
+          }
           break;
         case 403:
           toast.error('Access denied. You do not have permission to perform this action.');
@@ -75,6 +129,20 @@ api.interceptors.response.use(
 
 // API methods
 export const apiService = {
+  // Auth
+  login: async (username, password) => {
+    const res = await api.post('/api/auth/login', { username, password });
+    storeSession(res.data.data);
+    return res.data.data.user;
+  },
+  logout: async () => {
+    const refreshToken = localStorage.getItem('refreshToken');
+    clearSession();
+    await api.post('/api/auth/logout', { refreshToken }).catch(() => {});
+  },
+  isAuthenticated: () => Boolean(getAccessToken()),
+  getCurrentUser: () => api.get('/api/auth/me'),
+
   // Streams
   getStreams: (params = {}) => api.get('/api/streams', { params }),
   getStream: (id) => api.get(`/api/streams/${id}`),
@@ -84,6 +152,7 @@ export const apiService = {
   startStream: (id) => api.post(`/api/streams/${id}/start`),
   stopStream: (id) => api.post(`/api/streams/${id}/stop`),
   restartStream: (id) => api.post(`/api/streams/${id}/restart`),
+  seekStream: (id, position) => api.post(`/api/streams/${id}/seek`, { position }),
   uploadVideo: (file, data = {}) => {
     const formData = new FormData();
     formData.append('video', file);
@@ -96,6 +165,14 @@ export const apiService = {
   },
   getStreamStatistics: (id) => api.get(`/api/streams/${id}/statistics`),
   resetStreamStatistics: (id) => api.post(`/api/streams/${id}/reset-statistics`),
+  getStreamRecordings: (id, params = {}) => api.get(`/api/streams/${id}/recordings`, { params }),
+  getRecordingUrl: (id, recordingId) =>
+    withToken(`${api.defaults.baseURL}/api/streams/${id}/recordings/${recordingId}/stream`),
+  exportRecording: (id, params) =>
+    api.get(`/api/streams/${id}/recordings/export`, { params, responseType: 'blob', timeout: 0 }),
+  getLiveUrl: (id) => `${api.defaults.baseURL}/api/streams/${id}/live/index.m3u8`,
+  getSnapshotUrl: (id, params = {}) => withToken(`${api.defaults.baseURL}/api/streams/${id}/snapshot`, params),
+  getStreamSnapshots: (id, params = {}) => api.get(`/api/streams/${id}/snapshots`, { params }),
 
   // AI Models
   getAIModels: () => api.get('/api/ai/models'),
@@ -114,6 +191,9 @@ export const apiService = {
     api.get(`/api/ai/stream/${streamId}/detections`, { params }),
   processStreamWithAI: (streamId, data) => 
     api.post(`/api/ai/stream/${streamId}/process`, data),
+  getAIJobs: (params = {}) => api.get('/api/ai/jobs', { params }),
+  getAIJob: (id) => api.get(`/api/ai/jobs/${id}`),
+  cancelAIJob: (id) => api.delete(`/api/ai/jobs/${id}`),
 
   // Alerts
   getAlerts: (params = {}) => api.get('/api/alerts', { params }),
@@ -133,9 +213,49 @@ export const apiService = {
   bulkAcknowledgeAlerts: (data) => api.post('/api/alerts/bulk-acknowledge', data),
   bulkResolveAlerts: (data) => api.post('/api/alerts/bulk-resolve', data),
 
+  // Alert rules
+  getAlertRules: (params = {}) => api.get('/api/alert-rules', { params }),
+  getAlertRule: (id) => api.get(`/api/alert-rules/${id}`),
+  createAlertRule: (data) => api.post('/api/alert-rules', data),
+  updateAlertRule: (id, data) => api.put(`/api/alert-rules/${id}`, data),
+  deleteAlertRule: (id) => api.delete(`/api/alert-rules/${id}`),
+
+  // Notifications
+  getNotificationChannels: (params = {}) => api.get('/api/notifications/channels', { params }),
+  createNotificationChannel: (data) => api.post('/api/notifications/channels', data),
+  updateNotificationChannel: (id, data) => api.put(`/api/notifications/channels/${id}`, data),
+  deleteNotificationChannel: (id) => api.delete(`/api/notifications/channels/${id}`),
+  testNotificationChannel: (id) => api.post(`/api/notifications/channels/${id}/test`),
+  getNotificationLogs: (params = {}) => api.get('/api/notifications/logs', { params }),
+
+  // Escalation policies
+  getEscalationPolicies: (params = {}) => api.get('/api/escalation-policies', { params }),
+  getEscalationPolicy: (id) => api.get(`/api/escalation-policies/${id}`),
+  createEscalationPolicy: (data) => api.post('/api/escalation-policies', data),
+  updateEscalationPolicy: (id, data) => api.put(`/api/escalation-policies/${id}`, data),
+  deleteEscalationPolicy: (id) => api.delete(`/api/escalation-policies/${id}`),
+
+  // Video wall layouts
+  getLayouts: () => api.get('/api/layouts'),
+  getLayout: (id) => api.get(`/api/layouts/${id}`),
+  createLayout: (data) => api.post('/api/layouts', data),
+  updateLayout: (id, data) => api.put(`/api/layouts/${id}`, data),
+  deleteLayout: (id) => api.delete(`/api/layouts/${id}`),
+
+  // Users and their roles (admin only)
+  getUsers: (params = {}) => api.get('/api/users', { params }),
+  getUser: (id) => api.get(`/api/users/${id}`),
+  createUser: (data) => api.post('/api/users', data),
+  updateUser: (id, data) => api.put(`/api/users/${id}`, data),
+  deleteUser: (id) => api.delete(`/api/users/${id}`),
+
+  // Audit log (admin only)
+  getAuditLog: (params = {}) => api.get('/api/audit', { params }),
+  getAuditExportUrl: (params = {}) => withToken(`${api.defaults.baseURL}/api/audit`, { ...params, format: 'csv' }),
+
   // System
   getHealth: () => api.get('/api/health'),
-  getStreamStatistics: () => api.get('/api/streams/statistics/overview'),
+  getStreamsOverview: () => api.get('/api/streams/statistics/overview'),
 };
 
 // Export the axios instance for direct use
@@ -0,0 +1,61 @@
+const axios = require('axios');
+const ModelAdapter = require('./ModelAdapter');
+const { encodeJpeg } = require('../../utils/image');
+
+const DEFAULT_ENDPOINT = process.env.AI_INFERENCE_URL || 'http://localhost:8000/infer';
+const DEFAULT_TIMEOUT = parseInt(process.env.AI_PROCESSING_TIMEOUT, 10) || 30000;
+
+// Posts each frame as a base64 JPEG to an inference server, which must answer
+// with { confidence, detections, analysis } for the model type it was sent
+class HTTPAdapter extends ModelAdapter {
+  constructor(aiModel) {
+    super(aiModel);
+    this.endpoint = this.parameters.endpoint || DEFAULT_ENDPOINT;
+    this.timeout = this.parameters.timeout || DEFAULT_TIMEOUT;
+    this.client = null;
+  }
+
+  async load() {
+    this.client = axios.create({
+      timeout: this.timeout,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.parameters.headers || {})
+      }
+    });
+    this.loaded = true;
+  }
+
+  async infer(frame) {
+    if (!this.loaded) {
+      throw new Error('HTTP adapter is not loaded');
+    }
+
+    const response = await this.client.post(this.endpoint, {
+      modelType: this.modelType,
+      confidence: this.aiModel.confidence,
+      parameters: this.parameters,
+      frame: {
+        width: frame.width,
+        height: frame.height,
+        timestamp: frame.timestamp,
+        frameNumber: frame.frameNumber
+      },
+      image: encodeJpeg(frame, this.parameters.jpegQuality).toString('base64')
+    });
+
+    const result = response.data || {};
+    return {
+      confidence: result.confidence || 0,
+      detections: result.detections || [],
+      analysis: result.analysis || {}
+    };
+  }
+
+  async unload() {
+    this.client = null;
+    this.loaded = false;
+  }
+}
+
+module.exports = HTTPAdapter;
@@ -0,0 +1,25 @@
+// Base class for inference backends. An adapter is created for one AI model
+// configuration of a stream, loaded once and then fed frames until unloaded.
+class ModelAdapter {
+  constructor(aiModel) {
+    this.aiModel = aiModel;
+    this.modelType = aiModel.modelType;
+    this.parameters = aiModel.parameters || {};
+    this.loaded = false;
+  }
+
+  async load() {
+    this.loaded = true;
+  }
+
+  // Resolves to { confidence, detections, analysis } for a decoded RGB24 frame
+  async infer(frame) {
+    throw new Error(`${this.constructor.name} does not implement infer()`);
+  }
+
+  async unload() {
+    this.loaded = false;
+  }
+}
+
+module.exports = ModelAdapter;
@@ -0,0 +1,181 @@
+const ModelAdapter = require('./ModelAdapter');
+
+// Frames are compared at this width to keep the per-frame cost low
+const DEFAULT_PROCESSING_WIDTH = 160;
+
+// Weight of the newest frame in the running-average background
+const DEFAULT_LEARNING_RATE = 0.05;
+
+// Difference threshold at sensitivity 1 and 0 respectively
+const MIN_THRESHOLD = 8;
+const MAX_THRESHOLD = 100;
+
+// CPU motion detection by background subtraction (or plain frame differencing
+// with parameters.method = 'difference'), thresholding and connected regions
+class MotionAdapter extends ModelAdapter {
+  constructor(aiModel) {
+    super(aiModel);
+
+    const { sensitivity = 0.5 } = this.parameters;
+    this.threshold = MIN_THRESHOLD + (1 - Math.min(1, Math.max(0, sensitivity))) * (MAX_THRESHOLD - MIN_THRESHOLD);
+    this.minArea = this.parameters.minArea || 0;
+    this.method = this.parameters.method || 'background';
+    this.learningRate = this.parameters.learningRate || DEFAULT_LEARNING_RATE;
+    this.processingWidth = this.parameters.processingWidth || DEFAULT_PROCESSING_WIDTH;
+    this.background = null;
+  }
+
+  async infer(frame) {
+    const gray = this.toGrayscale(frame);
+
+    // Start over when the first frame arrives or the camera changes resolution
+    if (!this.background || this.background.length !== gray.data.length) {
+      this.background = Float32Array.from(gray.data);
+      return this.buildResult([]);
+    }
+
+    const diff = new Uint8Array(gray.data.length);
+    const mask = new Uint8Array(gray.data.length);
+    for (let i = 0; i < gray.data.length; i++) {
+      diff[i] = Math.abs(gray.data[i] - this.background[i]);
+      mask[i] = diff[i] > this.threshold ? 1 : 0;
+    }
+
+    this.updateBackground(gray.data);
+
+    const regions = this.findRegions(this.dilate(mask, gray.width, gray.height), diff, gray);
+    return this.buildResult(regions);
+  }
+
+  // Box-filtered luma at the processing resolution
+  toGrayscale(frame) {
+    const scale = Math.max(1, Math.ceil(frame.width / this.processingWidth));
+    const width = Math.floor(frame.width / scale);
+    const height = Math.floor(frame.height / scale);
+    const data = new Uint8Array(width * height);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        let sum = 0;
+        for (let dy = 0; dy < scale; dy++) {
+          let source = ((y * scale + dy) * frame.width + x * scale) * 3;
+          for (let dx = 0; dx < scale; dx++, source += 3) {
+            sum += 0.299 * frame.data[source] + 0.587 * frame.data[source + 1] + 0.114 * frame.data[source + 2];
+          }
+        }
+        data[y * width + x] = sum / (scale * scale);
+      }
+    }
+
+    return { width, height, scale, data };
+  }
+
+  updateBackground(data) {
+    if (this.method === 'difference') {
+      this.background = Float32Array.from(data);
+      return;
+    }
+
+    const rate = this.learningRate;
+    for (let i = 0; i < data.length; i++) {
+      this.background[i] += (data[i] - this.background[i]) * rate;
+    }
+  }
+
+  // 3x3 dilation joins the fragments of one moving object
+  dilate(mask, width, height) {
+    const result = new Uint8Array(mask.length);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (!mask[y * width + x]) continue;
+
+        for (let ny = Math.max(0, y - 1); ny <= Math.min(height - 1, y + 1); ny++) {
+          for (let nx = Math.max(0, x - 1); nx <= Math.min(width - 1, x + 1); nx++) {
+            result[ny * width + nx] = 1;
+          }
+        }
+      }
+    }
+
+    return result;
+  }
+
+  // 8-connected components of the motion mask, in source frame coordinates
+  findRegions(mask, diff, { width, height, scale }) {
+    const visited = new Uint8Array(mask.length);
+    const stack = [];
+    const regions = [];
+    const pixelArea = scale * scale;
+
+    for (let start = 0; start < mask.length; start++) {
+      if (!mask[start] || visited[start]) continue;
+
+      let minX = width;
+      let minY = height;
+      let maxX = 0;
+      let maxY = 0;
+      let count = 0;
+      let diffSum = 0;
+
+      visited[start] = 1;
+      stack.push(start);
+
+      while (stack.length > 0) {
+        const index = stack.pop();
+        const x = index % width;
+        const y = (index - x) / width;
+
+        count++;
+        diffSum += diff[index];
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        if (y > maxY) maxY = y;
+
+        for (let ny = Math.max(0, y - 1); ny <= Math.min(height - 1, y + 1); ny++) {
+          for (let nx = Math.max(0, x - 1); nx <= Math.min(width - 1, x + 1); nx++) {
+            const neighbour = ny * width + nx;
+            if (mask[neighbour] && !visited[neighbour]) {
+              visited[neighbour] = 1;
+              stack.push(neighbour);
+            }
+          }
+        }
+      }
+
+      if (count * pixelArea < this.minArea) continue;
+
+      regions.push({
+        x: minX * scale,
+        y: minY * scale,
+        width: (maxX - minX + 1) * scale,
+        height: (maxY - minY + 1) * scale,
+        // Mean brightness change of the region, 0 to 1
+        intensity: Math.min(1, diffSum / count / 255)
+      });
+    }
+
+    return regions.sort((a, b) => b.width * b.height - a.width * a.height);
+  }
+
+  buildResult(regions) {
+    return {
+      confidence: regions.reduce((max, region) => Math.max(max, region.intensity), 0),
+      detections: [],
+      analysis: {
+        motion: {
+          detected: regions.length > 0,
+          regions
+        }
+      }
+    };
+  }
+
+  async unload() {
+    this.background = null;
+    this.loaded = false;
+  }
+}
+
+module.exports = MotionAdapter;
@@ -0,0 +1,179 @@
+const path = require('path');
+const ModelAdapter = require('./ModelAdapter');
+const { resizeFrame } = require('../../utils/image');
+
+const MODEL_ROOT = process.env.AI_MODEL_PATH || './models/';
+
+// Intersection over union of two { x, y, width, height } boxes
+const iou = (a, b) => {
+  const x1 = Math.max(a.x, b.x);
+  const y1 = Math.max(a.y, b.y);
+  const x2 = Math.min(a.x + a.width, b.x + b.width);
+  const y2 = Math.min(a.y + a.height, b.y + b.height);
+  const intersection = Math.max(0, x2 - x1) * Math.max(0, y2 - y1);
+  const union = a.width * a.height + b.width * b.height - intersection;
+  return union > 0 ? intersection / union : 0;
+};
+
+// Runs an ONNX model on the CPU with onnxruntime-node. Object detection models
+// are expected to use the YOLOv8 output layout; any other model type is
+// treated as an image classifier.
+class ONNXAdapter extends ModelAdapter {
+  constructor(aiModel) {
+    super(aiModel);
+
+    if (!this.parameters.modelPath) {
+      throw new Error(`ONNX adapter for ${this.modelType} needs parameters.modelPath`);
+    }
+
+    this.modelPath = path.resolve(MODEL_ROOT, this.parameters.modelPath);
+    this.inputSize = this.parameters.inputSize || 640;
+    this.labels = this.parameters.labels || [];
+    this.session = null;
+    this.ort = null;
+  }
+
+  async load() {
+    // Loaded lazily so the native module is only required when it is used
+    this.ort = require('onnxruntime-node');
+    this.session = await this.ort.InferenceSession.create(this.modelPath, {
+      executionProviders: ['cpu'],
+      intraOpNumThreads: this.parameters.threads || 1
+    });
+    this.loaded = true;
+  }
+
+  async infer(frame) {
+    if (!this.loaded) {
+      throw new Error('ONNX adapter is not loaded');
+    }
+
+    const input = this.preprocess(frame);
+    const outputs = await this.session.run({ [this.session.inputNames[0]]: input });
+    const output = outputs[this.session.outputNames[0]];
+
+    if (this.modelType === 'object-detection') {
+      return this.decodeDetections(output, frame);
+    }
+    return this.decodeClassification(output);
+  }
+
+  // RGB24 frame to a normalized NCHW float tensor
+  preprocess(frame) {
+    const size = this.inputSize;
+    const resized = resizeFrame(frame, size, size);
+    const plane = size * size;
+    const tensor = new Float32Array(plane * 3);
+
+    for (let i = 0; i < plane; i++) {
+      tensor[i] = resized.data[i * 3] / 255;
+      tensor[plane + i] = resized.data[i * 3 + 1] / 255;
+      tensor[plane * 2 + i] = resized.data[i * 3 + 2] / 255;
+    }
+
+    return new this.ort.Tensor('float32', tensor, [1, 3, size, size]);
+  }
+
+  // YOLOv8 output: [1, 4 + classes, boxes] with center x/y, width and height
+  decodeDetections(output, frame) {
+    const [, rows, boxes] = output.dims;
+    const data = output.data;
+    const classes = rows - 4;
+    const threshold = this.aiModel.confidence || 0.5;
+    const scaleX = frame.width / this.inputSize;
+    const scaleY = frame.height / this.inputSize;
+    const candidates = [];
+
+    for (let i = 0; i < boxes; i++) {
+      let classId = 0;
+      let score = 0;
+      for (let c = 0; c < classes; c++) {
+        const value = data[(4 + c) * boxes + i];
+        if (value > score) {
+          score = value;
+          classId = c;
+        }
+      }
+
+      if (score < threshold) continue;
+
+      const width = data[2 * boxes + i];
+      const height = data[3 * boxes + i];
+      candidates.push({
+        label: this.labels[classId] || `class_${classId}`,
+        confidence: score,
+        bbox: {
+          x: (data[i] - width / 2) * scaleX,
+          y: (data[boxes + i] - height / 2) * scaleY,
+          width: width * scaleX,
+          height: height * scaleY
+        },
+        classId
+      });
+    }
+
+    const detections = this.nonMaxSuppression(candidates);
+
+    return {
+      confidence: detections.length > 0 ? detections[0].confidence : 0,
+      detections,
+      analysis: {}
+    };
+  }
+
+  nonMaxSuppression(candidates) {
+    const nmsThreshold = this.parameters.nmsThreshold || 0.45;
+    const maxDetections = this.parameters.maxDetections || 100;
+    const kept = [];
+
+    candidates.sort((a, b) => b.confidence - a.confidence);
+    for (const candidate of candidates) {
+      if (kept.length >= maxDetections) break;
+
+      const overlaps = kept.some(other =>
+        other.classId === candidate.classId && iou(other.bbox, candidate.bbox) > nmsThreshold
+      );
+      if (!overlaps) {
+        kept.push(candidate);
+      }
+    }
+
+    return kept;
+  }
+
+  decodeClassification(output) {
+    // Softmax over the logits of the first batch item
+    const logits = Array.from(output.data);
+    const max = Math.max(...logits);
+    const exps = logits.map(value => Math.exp(value - max));
+    const sum = exps.reduce((total, value) => total + value, 0);
+
+    let classId = 0;
+    for (let i = 1; i < exps.length; i++) {
+      if (exps[i] > exps[classId]) classId = i;
+    }
+    const confidence = exps[classId] / sum;
+
+    return {
+      confidence,
+      detections: [],
+      analysis: {
+        classification: {
+          label: this.labels[classId] || `class_${classId}`,
+          classId,
+          confidence
+        }
+      }
+    };
+  }
+
+  async unload() {
+    if (this.session) {
+      await this.session.release();
+      this.session = null;
+    }
+    this.loaded = false;
+  }
+}
+
+module.exports = ONNXAdapter;
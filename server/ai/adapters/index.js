@@ -0,0 +1,44 @@
+const SimulatedAdapter = require('./SimulatedAdapter');
+const HTTPAdapter = require('./HTTPAdapter');
+const ONNXAdapter = require('./ONNXAdapter');
+const MotionAdapter = require('./MotionAdapter');
+
+// Inference backends selectable with aiModel.parameters.backend
+const adapters = {
+  simulated: SimulatedAdapter,
+  http: HTTPAdapter,
+  onnx: ONNXAdapter,
+  motion: MotionAdapter
+};
+
+const DEFAULT_BACKEND = 'simulated';
+
+// Model types with a real implementation that needs no model file
+const DEFAULT_BACKENDS = {
+  'motion-detection': 'motion'
+};
+
+const getBackendName = (aiModel) =>
+  (aiModel.parameters && aiModel.parameters.backend) ||
+  DEFAULT_BACKENDS[aiModel.modelType] ||
+  DEFAULT_BACKEND;
+
+// Create and load the adapter for one AI model configuration
+const createAdapter = async (aiModel) => {
+  const backend = getBackendName(aiModel);
+  const Adapter = adapters[backend];
+
+  if (!Adapter) {
+    throw new Error(`Unknown inference backend: ${backend}`);
+  }
+
+  const adapter = new Adapter(aiModel);
+  await adapter.load();
+  return adapter;
+};
+
+module.exports = {
+  adapters,
+  getBackendName,
+  createAdapter
+};
@@ -0,0 +1,59 @@
+// Socket.io server shared by the routes and services that push live updates
+let io = null;
+
+// Attach Socket.io to the HTTP server
+const initializeSocket = (server) => {
+  io = require('socket.io')(server, {
+    cors: {
+      origin: process.env.NODE_ENV === 'production' 
+        ? ['https://yourdomain.com'] 
+        : ['http://localhost:3000'],
+      credentials: true
+    }
+  });
+  return io;
+};
+
+// Room of the clients allowed to see a stream's status and alerts,
+// or of the clients allowed to see every stream when no stream is given
+const scopeRoom = (streamId) => (streamId ? `scope:stream-${streamId}` : 'scope:all');
+
+// Send a stream's event to the clients allowed to see that stream;
+// events that belong to no stream go to everyone
+const broadcastForStream = (streamId, event, payload) => {
+  if (!io) {
+    return;
+  }
+  if (streamId) {
+    io.to(scopeRoom()).to(scopeRoom(streamId)).emit(event, payload);
+  } else {
+    io.emit(event, payload);
+  }
+};
+
+// Room of every connection of a user
+const userRoom = (userId) => `user:${userId}`;
+
+// Drop a user's connections, e.g. after a role change or deactivation;
+// clients that reconnect are authenticated and scoped again
+const disconnectUser = (userId) => {
+  if (io) {
+    io.in(userRoom(userId)).disconnectSockets(true);
+  }
+};
+
+// Send an event to the clients that joined a stream's room
+const emitToStream = (streamId, event, payload) => {
+  if (io) {
+    io.to(`stream-${streamId}`).emit(event, payload);
+  }
+};
+
+module.exports = {
+  initializeSocket,
+  broadcastForStream,
+  emitToStream,
+  scopeRoom,
+  userRoom,
+  disconnectUser
+};
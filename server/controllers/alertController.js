@@ -0,0 +1,298 @@
+const Alert = require('../models/Alert');
+const NotificationService = require('../services/NotificationService');
+const AlertService = require('../services/AlertService');
+const AccessService = require('../services/AccessService');
+const AuditService = require('../services/AuditService');
+const { broadcastForStream } = require('../config/socket');
+
+// Fields an alert can be created with; lifecycle and bookkeeping fields are set by the server
+const CREATABLE_FIELDS = ['streamId', 'type', 'title', 'message', 'severity', 'category', 'data'];
+
+// Fields that can be edited directly; status changes go through the state machine
+const UPDATABLE_FIELDS = ['title', 'message', 'severity', 'category', 'data', 'expiresAt'];
+
+// Status changes the state machine forbids are a conflict, not a server error
+const transitionError = (res, err) => {
+  if (err.code === 'INVALID_TRANSITION') {
+    return res.status(409).json({ error: err.message });
+  }
+  res.status(500).json({ error: err.message });
+};
+
+// Filter for bulk actions from explicit ids, stream, severity and age
+const bulkFilter = ({ ids, streamId, severity, olderThanHours }) => {
+  const filter = {};
+  if (Array.isArray(ids) && ids.length > 0) filter._id = { $in: ids };
+  if (streamId) filter.streamId = streamId;
+  if (severity) filter.severity = Array.isArray(severity) ? { $in: severity } : severity;
+  if (olderThanHours) {
+    filter.timestamp = { $lt: new Date(Date.now() - parseFloat(olderThanHours) * 60 * 60 * 1000) };
+  }
+  return Object.keys(filter).length > 0 ? filter : null;
+};
+
+// Push alerts changed by a bulk action to the clients allowed to see each one
+const broadcastUpdated = (alerts) => {
+  alerts.forEach(alert => broadcastForStream(alert.streamId, 'alert-updated', alert.toJSON()));
+};
+
+// Alerts of the user's streams, plus system alerts that belong to no stream
+const alertScope = (req) => AccessService.streamScope(req.user, { includeUnscoped: true });
+
+// Alerts outside the user's scope are reported as not found
+const findAlert = async (req) => Alert.findOne({ _id: req.params.id, ...(await alertScope(req)) });
+
+// Get all alerts
+exports.getAllAlerts = async (req, res) => {
+  try {
+    const { status, severity, type, category, streamId, limit = 100 } = req.query;
+    const query = {};
+    if (status) query.status = status;
+    if (severity) query.severity = severity;
+    if (type) query.type = type;
+    if (category) query.category = category;
+    if (streamId) query.streamId = streamId;
+    query.$and = [await alertScope(req)];
+
+    const alerts = await Alert.find(query)
+      .sort({ timestamp: -1 })
+      .limit(parseInt(limit))
+      .populate('streamId', 'name status');
+    res.json(alerts);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// Get active alerts
+exports.getActiveAlerts = async (req, res) => {
+  try {
+    const alerts = await Alert.getActiveAlerts(100, await alertScope(req));
+    res.json(alerts);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// Get alerts by stream
+exports.getAlertsByStream = async (req, res) => {
+  try {
+    const { streamId } = req.params;
+    const { limit = 100 } = req.query;
+    const alerts = await Alert.getAlertsByStream(streamId, parseInt(limit));
+    res.json(alerts);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// Get critical alerts
+exports.getCriticalAlerts = async (req, res) => {
+  try {
+    const alerts = await Alert.getCriticalAlerts(100, await alertScope(req));
+    res.json(alerts);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// Create a new alert
+exports.createAlert = async (req, res) => {
+  try {
+    const fields = {};
+    CREATABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) fields[field] = req.body[field];
+    });
+    if (fields.streamId && !(await AccessService.canAccessStream(req.user, fields.streamId))) {
+      return res.status(403).json({ error: 'You do not have access to this stream' });
+    }
+
+    // A repeat of an open alert is counted on it instead of creating another
+    const { alert, created } = await Alert.createManualAlert(fields);
+    await AuditService.record({
+      req,
+      action: 'alert.create',
+      targetType: 'alert',
+      after: alert,
+      details: created ? undefined : { repeat: true }
+    });
+    if (created) {
+      NotificationService.notify(alert);
+    }
+    broadcastForStream(alert.streamId, created ? 'alert-created' : 'alert-updated', alert.toJSON());
+    res.status(created ? 201 : 200).json(alert);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+};
+
+// Get an alert by ID
+exports.getAlert = async (req, res) => {
+  try {
+    const alert = await Alert.findOne({ _id: req.params.id, ...(await alertScope(req)) })
+      .populate('streamId', 'name status');
+    if (!alert) return res.status(404).json({ error: 'Alert not found' });
+    res.json(alert);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// Update an alert's details
+exports.updateAlert = async (req, res) => {
+  try {
+    const alert = await findAlert(req);
+    if (!alert) return res.status(404).json({ error: 'Alert not found' });
+    const before = alert.toJSON();
+
+    UPDATABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) alert.set(field, req.body[field]);
+    });
+    await alert.save();
+    await AuditService.record({ req, action: 'alert.update', targetType: 'alert', before, after: alert });
+    broadcastForStream(alert.streamId, 'alert-updated', alert.toJSON());
+    res.json(alert);
+  } catch (err) {
+    res.status(err.name === 'ValidationError' ? 400 : 500).json({ error: err.message });
+  }
+};
+
+// Delete an alert
+exports.deleteAlert = async (req, res) => {
+  try {
+    const alert = await Alert.findByIdAndDelete(req.params.id);
+    if (!alert) return res.status(404).json({ error: 'Alert not found' });
+    await AuditService.record({ req, action: 'alert.delete', targetType: 'alert', before: alert });
+    broadcastForStream(alert.streamId, 'alert-deleted', { _id: alert._id.toString() });
+    res.json({ message: 'Alert deleted successfully' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// Acknowledge an alert
+exports.acknowledgeAlert = async (req, res) => {
+  try {
+    const alert = await findAlert(req);
+    if (!alert) return res.status(404).json({ error: 'Alert not found' });
+    const before = alert.toJSON();
+    await alert.acknowledge(req.user.username);
+    await AuditService.record({ req, action: 'alert.acknowledge', targetType: 'alert', before, after: alert });
+    broadcastForStream(alert.streamId, 'alert-updated', alert.toJSON());
+    res.json(alert);
+  } catch (err) {
+    transitionError(res, err);
+  }
+};
+
+// Resolve an alert
+exports.resolveAlert = async (req, res) => {
+  try {
+    const { resolution } = req.body || {};
+    const alert = await findAlert(req);
+    if (!alert) return res.status(404).json({ error: 'Alert not found' });
+    const before = alert.toJSON();
+    await alert.resolve(req.user.username, resolution);
+    await AuditService.record({ req, action: 'alert.resolve', targetType: 'alert', before, after: alert });
+    broadcastForStream(alert.streamId, 'alert-updated', alert.toJSON());
+    res.json(alert);
+  } catch (err) {
+    transitionError(res, err);
+  }
+};
+
+// Dismiss an alert
+exports.dismissAlert = async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+    const alert = await findAlert(req);
+    if (!alert) return res.status(404).json({ error: 'Alert not found' });
+    const before = alert.toJSON();
+    await alert.dismiss(req.user.username, reason);
+    await AuditService.record({ req, action: 'alert.dismiss', targetType: 'alert', before, after: alert });
+    broadcastForStream(alert.streamId, 'alert-updated', alert.toJSON());
+    res.json(alert);
+  } catch (err) {
+    transitionError(res, err);
+  }
+};
+
+// Get alert statistics
+exports.getAlertStatistics = async (req, res) => {
+  try {
+    const { timeRange = 24 } = req.query;
+    const stats = await Alert.getAlertStatistics(parseInt(timeRange), await alertScope(req));
+    res.json(stats);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// Acknowledge all active alerts matching the filter
+exports.bulkAcknowledgeAlerts = async (req, res) => {
+  try {
+    const filter = bulkFilter(req.body);
+    if (!filter) {
+      return res.status(400).json({ error: 'Provide ids, streamId, severity or olderThanHours' });
+    }
+
+    const result = await Alert.bulkTransition({ ...filter, ...(await alertScope(req)) }, 'acknowledged', {
+      acknowledgedBy: req.user.username,
+      acknowledgedAt: new Date()
+    });
+    // One entry per alert, so the log shows who changed each of them
+    await Promise.all(result.alerts.map(alert => AuditService.record({
+      req,
+      action: 'alert.bulk-acknowledge',
+      targetType: 'alert',
+      after: alert,
+      details: { filter }
+    })));
+    broadcastUpdated(result.alerts);
+    res.json({ modifiedCount: result.modifiedCount });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// Resolve all acknowledged alerts matching the filter
+exports.bulkResolveAlerts = async (req, res) => {
+  try {
+    const filter = bulkFilter(req.body);
+    if (!filter) {
+      return res.status(400).json({ error: 'Provide ids, streamId, severity or olderThanHours' });
+    }
+
+    const result = await Alert.bulkTransition({ ...filter, ...(await alertScope(req)) }, 'resolved', {
+      resolvedBy: req.user.username,
+      resolvedAt: new Date(),
+      resolution: req.body.resolution
+    });
+    // One entry per alert, so the log shows who changed each of them
+    await Promise.all(result.alerts.map(alert => AuditService.record({
+      req,
+      action: 'alert.bulk-resolve',
+      targetType: 'alert',
+      after: alert,
+      details: { filter }
+    })));
+    broadcastUpdated(result.alerts);
+    res.json({ modifiedCount: result.modifiedCount });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// Delete closed alerts past their retention period
+exports.cleanupAlerts = async (req, res) => {
+  try {
+    const { expirationHours, criticalRetentionDays } = req.body || {};
+    const result = await AlertService.cleanupAlerts({
+      expirationHours: parseFloat(expirationHours) || undefined,
+      criticalRetentionDays: parseFloat(criticalRetentionDays) || undefined
+    }, req);
+    res.json(result);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
@@ -1,233 +1,315 @@
-// const express = require('express');
-// const mongoose = require('mongoose');
-// const cors = require('cors');
-// const helmet = require('helmet');
-// const compression = require('compression');
-// const morgan = require('morgan');
-// const rateLimit = require('express-rate-limit');
-// const path = require('path');
-// require('dotenv').config();
-
-// // Import routes
-// const streamRoutes = require('./routes/streams');
-// const aiRoutes = require('./routes/ai');
-// const alertRoutes = require('./routes/alerts');
-
-// // Import services
-// const StreamService = require('./services/StreamService');
-// const AIService = require('./services/AIService');
-// const AlertService = require('./services/AlertService');
-
-// const app = express();
-// const PORT = process.env.PORT || 5000;
-
-// // Security middleware
-// app.use(helmet());
-// app.use(compression());
-
-// // Rate limiting
-// const limiter = rateLimit({
-//   windowMs: 15 * 60 * 1000, // 15 minutes
-//   max: 100 // limit each IP to 100 requests per windowMs
-// });
-// app.use('/api/', limiter);
-
-// // CORS configuration
-// app.use(cors({
-//   origin: process.env.NODE_ENV === 'production' 
-//     ? ['https://yourdomain.com'] 
-//     : ['http://localhost:3000'],
-//   credentials: true
-// }));
-
-// // Body parsing middleware
-// app.use(express.json({ limit: '50mb' }));
-// app.use(express.urlencoded({ extended: true, limit: '50mb' }));
-
-// // Logging middleware
-// app.use(morgan('combined'));
-
-// // Static files
-// app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
-
-// // Database connection
-// mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/vms', {
-//   useNewUrlParser: true,
-//   useUnifiedTopology: true,
-// })
-// .then(() => console.log('✅ Connected to MongoDB'))
-// .catch(err => console.error('❌ MongoDB connection error:', err));
-
-// // API Routes
-// app.use('/api/streams', streamRoutes);
-// app.use('/api/ai', aiRoutes);
-// app.use('/api/alerts', alertRoutes);
-
-// // Health check endpoint
-// app.get('/api/health', (req, res) => {
-//   res.json({ 
-//     status: 'OK', 
-//     timestamp: new Date().toISOString(),
-//     uptime: process.uptime()
-//   });
-// });
-
-// // Error handling middleware
-// app.use((err, req, res, next) => {
-//   console.error(err.stack);
-//   res.status(500).json({ 
-//     error: 'Something went wrong!',
-//     message: process.env.NODE_ENV === 'development' ? err.message : 'Internal server error'
-//   });
-// });
-
-// // 404 handler
-// app.use('*', (req, res) => {
-//   res.status(404).json({ error: 'Route not found' });
-// });
-
-// // Create HTTP server
-// const server = require('http').createServer(app);
-
-// // Socket.io setup
-// const io = require('socket.io')(server, {
-//   cors: {
-//     origin: process.env.NODE_ENV === 'production' 
-//       ? ['https://yourdomain.com'] 
-//       : ['http://localhost:3000'],
-//     credentials: true
-//   }
-// });
-
-// // Socket.io connection handling
-// io.on('connection', (socket) => {
-//   console.log('🔌 Client connected:', socket.id);
-
-//   // Join stream room
-//   socket.on('join-stream', (streamId) => {
-//     socket.join(`stream-${streamId}`);
-//     console.log(`👥 Client ${socket.id} joined stream ${streamId}`);
-//   });
-
-//   // Leave stream room
-//   socket.on('leave-stream', (streamId) => {
-//     socket.leave(`stream-${streamId}`);
-//     console.log(`👋 Client ${socket.id} left stream ${streamId}`);
-//   });
-
-//   // Handle AI processing requests
-//   socket.on('process-ai', async (data) => {
-//     try {
-//       const { streamId, modelType } = data;
-//       const result = await AIService.processStream(streamId, modelType);
-//       socket.emit('ai-result', result);
-//     } catch (error) {
-//       socket.emit('ai-error', { error: error.message });
-//     }
-//   });
-
-//   // Handle stream status updates
-//   socket.on('update-stream-status', async (data) => {
-//     try {
-//       const { streamId, status } = data;
-//       await StreamService.updateStreamStatus(streamId, status);
-//       io.to(`stream-${streamId}`).emit('stream-status-updated', { streamId, status });
-//     } catch (error) {
-//       socket.emit('stream-error', { error: error.message });
-//     }
-//   });
-
-//   socket.on('disconnect', () => {
-//     console.log('🔌 Client disconnected:', socket.id);
-//   });
-// });
-
-// // Initialize services
-// const initializeServices = async () => {
-//   try {
-//     // Initialize AI service
-//     await AIService.initialize();
-//     console.log('🤖 AI Service initialized');
-
-//     // Initialize stream service
-//     await StreamService.initialize();
-//     console.log('📹 Stream Service initialized');
-
-//     // Initialize alert service
-//     await AlertService.initialize();
-//     console.log('🚨 Alert Service initialized');
-
-//     // Start background tasks
-//     startBackgroundTasks();
-//   } catch (error) {
-//     console.error('❌ Service initialization error:', error);
-//   }
-// };
-
-// // Background tasks
-// const startBackgroundTasks = () => {
-//   // Monitor active streams
-//   setInterval(async () => {
-//     try {
-//       await StreamService.monitorActiveStreams();
-//     } catch (error) {
-//       console.error('Stream monitoring error:', error);
-//     }
-//   }, 30000); // Every 30 seconds
-
-//   // Process AI models
-//   setInterval(async () => {
-//     try {
-//       await AIService.processQueuedStreams();
-//     } catch (error) {
-//       console.error('AI processing error:', error);
-//     }
-//   }, 10000); // Every 10 seconds
-
-//   // Check for alerts
-//   setInterval(async () => {
-//     try {
-//       await AlertService.checkForAlerts();
-//     } catch (error) {
-//       console.error('Alert checking error:', error);
-//     }
-//   }, 15000); // Every 15 seconds
-// };
-
-// // Start server
-// server.listen(PORT, async () => {
-//   console.log(`🚀 Server running on port ${PORT}`);
-//   console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
+const express = require('express');
+const mongoose = require('mongoose');
+const cors = require('cors');
+const helmet = require('helmet');
+const compression = require('compression');
+const morgan = require('morgan');
+const rateLimit = require('express-rate-limit');
+const path = require('path');
+require('dotenv').config();
+
+// Import routes
+const authRoutes = require('./routes/auth');
+const streamRoutes = require('./routes/streams');
+const aiRoutes = require('./routes/ai');
+const alertRoutes = require('./routes/alerts');
+const alertRuleRoutes = require('./routes/alertRules');
+const notificationRoutes = require('./routes/notifications');
+const escalationPolicyRoutes = require('./routes/escalationPolicies');
+const layoutRoutes = require('./routes/layouts');
+const userRoutes = require('./routes/users');
+const auditRoutes = require('./routes/audit');
+
+// Import services
+const StreamService = require('./services/StreamService');
+const AIService = require('./services/AIService');
+const AlertService = require('./services/AlertService');
+const NotificationService = require('./services/NotificationService');
+const AuthService = require('./services/AuthService');
+const AccessService = require('./services/AccessService');
+const { initializeSocket, scopeRoom, userRoom } = require('./config/socket');
+const { authenticate, authenticateSocket, requireRole } = require('./middleware/auth');
+
+const app = express();
+const PORT = process.env.PORT || 5000;
+
+// Security middleware
+app.use(helmet());
+app.use(compression());
+
+// Live playlists, segments and snapshot images, which players and thumbnails
+// request every few seconds per stream
+const MEDIA_ROUTE = /^\/streams\/[^/]+\/(live\/|snapshot$|snapshots\/[^/]+\/image$)/;
+
+// Rate limiting
+const limiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100, // limit each IP to 100 requests per windowMs
+  skip: (req) => MEDIA_ROUTE.test(req.path)
+});
+// Media gets its own budget: a 4x4 video wall makes several requests a second
+const mediaLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 3000,
+  skip: (req) => !MEDIA_ROUTE.test(req.path)
+});
+// Password guessing is limited separately and more strictly
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20
+});
+app.use('/api/auth/login', loginLimiter);
+app.use('/api/', mediaLimiter, limiter);
+
+// CORS configuration
+app.use(cors({
+  origin: process.env.NODE_ENV === 'production' 
+    ? ['https://yourdomain.com'] 
+    : ['http://localhost:3000'],
+  credentials: true
+}));
+
+// Body parsing middleware
+app.use(express.json({ limit: '50mb' }));
+app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+
+// Logging middleware, keeping access tokens passed in media URLs out of the log
+morgan.token('url', (req) => (req.originalUrl || req.url).replace(/access_token=[^&]+/, 'access_token=[redacted]'));
+app.use(morgan('combined'));
+
+// Static files
+app.use('/uploads', authenticate, requireRole('admin'), express.static(path.join(__dirname, '../uploads')));
+
+// Database connection
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/vms', {
+  useNewUrlParser: true,
+  useUnifiedTopology: true,
+})
+.then(() => console.log('✅ Connected to MongoDB'))
+.catch(err => console.error('❌ MongoDB connection error:', err));
+
+// API Routes, all but login and the health check need an access token
+app.use('/api/auth', authRoutes);
+app.use('/api/streams', authenticate, streamRoutes);
+app.use('/api/ai', authenticate, aiRoutes);
+app.use('/api/alerts', authenticate, alertRoutes);
+app.use('/api/alert-rules', authenticate, requireRole('admin'), alertRuleRoutes);
+app.use('/api/notifications', authenticate, requireRole('admin'), notificationRoutes);
+app.use('/api/escalation-policies', authenticate, requireRole('admin'), escalationPolicyRoutes);
+app.use('/api/layouts', authenticate, layoutRoutes);
+app.use('/api/users', authenticate, requireRole('admin'), userRoutes);
+app.use('/api/audit', authenticate, requireRole('admin'), auditRoutes);
+
+// Health check endpoint
+app.get('/api/health', (req, res) => {
+  res.json({ 
+    status: 'OK', 
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime()
+  });
+});
+
+// Error handling middleware
+app.use((err, req, res, next) => {
+  console.error(err.stack);
+  res.status(500).json({ 
+    error: 'Something went wrong!',
+    message: process.env.NODE_ENV === 'development' ? err.message : 'Internal server error'
+  });
+});
+
+// 404 handler
+app.use('*', (req, res) => {
+  res.status(404).json({ error: 'Route not found' });
+});
+
+// Create HTTP server
+const server = require('http').createServer(app);
+
+// Socket.io setup
+const io = initializeSocket(server);
+io.use(authenticateSocket);
+
+// Reject socket actions on streams the user was not granted, or without the role they need
+const checkStreamAccess = async (user, streamId, role = 'viewer') => {
+  if (!AccessService.hasRole(user, role) || !(await AccessService.canAccessStream(user, streamId))) {
+    throw new Error('You do not have access to this stream');
+  }
+};
+
+// Socket.io connection handling
+io.on('connection', (socket) => {
+  console.log(`🔌 Client connected: ${socket.id} (${socket.user.username})`);
+
+  // Join stream room
+  socket.on('join-stream', async (streamId) => {
+    try {
+      await checkStreamAccess(socket.user, streamId);
+      socket.join(`stream-${streamId}`);
+      console.log(`👥 Client ${socket.id} joined stream ${streamId}`);
+    } catch (error) {
+      socket.emit('stream-error', { streamId, error: error.message });
+    }
+  });
+
+  // Leave stream room
+  socket.on('leave-stream', (streamId) => {
+    socket.leave(`stream-${streamId}`);
+    console.log(`👋 Client ${socket.id} left stream ${streamId}`);
+  });
+
+  // Handle AI processing requests
+  socket.on('process-ai', async (data) => {
+    try {
+      const { streamId, modelType } = data;
+      await checkStreamAccess(socket.user, streamId, 'operator');
+      // The job runs in the background, its result arrives as 'ai-result' in the stream's room
+      const job = await AIService.processStream(streamId, modelType);
+      socket.emit('ai-job-queued', job);
+    } catch (error) {
+      socket.emit('ai-error', { error: error.message });
+    }
+  });
+
+  // Handle stream status updates
+  socket.on('update-stream-status', async (data) => {
+    try {
+      const { streamId, status } = data;
+      await checkStreamAccess(socket.user, streamId, 'operator');
+      // StreamService broadcasts the change to the clients allowed to see the stream
+      await StreamService.updateStreamStatus(streamId, status);
+    } catch (error) {
+      socket.emit('stream-error', { error: error.message });
+    }
+  });
+
+  socket.on('disconnect', () => {
+    console.log('🔌 Client disconnected:', socket.id);
+  });
+
+  // Lets user changes end this connection
+  socket.join(userRoom(socket.user.id));
+
+  // Status and alert broadcasts only reach clients allowed to see the stream.
+  // Grants are read once; changing a user's role, streams or sites disconnects them.
+  AccessService.getStreamIds(socket.user)
+    .then(streamIds => socket.join(streamIds ? streamIds.map(scopeRoom) : scopeRoom()))
+    .catch(error => console.error('Error joining scope rooms:', error));
+});
+
+// Initialize services
+const initializeServices = async () => {
+  try {
+    // Initialize auth service
+    await AuthService.initialize();
+    console.log('🔐 Auth Service initialized');
+
+    // Initialize AI service
+    await AIService.initialize();
+    console.log('🤖 AI Service initialized');
+
+    // Initialize stream service
+    await StreamService.initialize();
+    console.log('📹 Stream Service initialized');
+
+    // Initialize alert service
+    await AlertService.initialize();
+    console.log('🚨 Alert Service initialized');
+
+    // Start background tasks
+    startBackgroundTasks();
+  } catch (error) {
+    console.error('❌ Service initialization error:', error);
+  }
+};
+
+// Background tasks
+const startBackgroundTasks = () => {
+  // Monitor active streams
+  setInterval(async () => {
+    try {
+      await StreamService.monitorActiveStreams();
+    } catch (error) {
+      console.error('Stream monitoring error:', error);
+    }
+  }, 30000); // Every 30 seconds
+
+  // Process AI models
+  setInterval(async () => {
+    try {
+      await AIService.processQueuedStreams();
+    } catch (error) {
+      console.error('AI processing error:', error);
+    }
+  }, 10000); // Every 10 seconds
+
+  // Check for alerts
+  setInterval(async () => {
+    try {
+      await AlertService.checkForAlerts();
+    } catch (error) {
+      console.error('Alert checking error:', error);
+    }
+  }, 15000); // Every 15 seconds
+
+  // Delete old closed alerts
+  setInterval(async () => {
+    try {
+      await AlertService.cleanupAlerts();
+    } catch (error) {
+      console.error('Alert cleanup error:', error);
+    }
+  }, parseInt(process.env.ALERT_CLEANUP_INTERVAL) || 3600000); // Hourly by default
+
+  // Delete snapshots past their retention period
+  setInterval(async () => {
+    try {
+      await StreamService.cleanupSnapshots();
+    } catch (error) {
+      console.error('Snapshot cleanup error:', error);
+    }
+  }, parseInt(process.env.SNAPSHOT_CLEANUP_INTERVAL) || 3600000); // Hourly by default
+
+  // Delete notification delivery log entries past their retention period
+  setInterval(async () => {
+    try {
+      await NotificationService.cleanupLogs();
+    } catch (error) {
+      console.error('Notification log cleanup error:', error);
+    }
+  }, parseInt(process.env.NOTIFICATION_LOG_CLEANUP_INTERVAL) || 3600000); // Hourly by default
+};
+
+// Start server
+server.listen(PORT, async () => {
+  console.log(`🚀 Server running on port ${PORT}`);
+  console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
   
-//   // Initialize services after server starts
-//   await initializeServices();
-// });
-
-// // Graceful shutdown
-// process.on('SIGTERM', () => {
-//   console.log('🛑 SIGTERM received, shutting down gracefully');
-//   server.close(() => {
-//     console.log('✅ Server closed');
-//     mongoose.connection.close(() => {
-//       console.log('✅ Database connection closed');
-//       process.exit(0);
-//     });
-//   });
-// });
-
-// process.on('SIGINT', () => {
-//   console.log('🛑 SIGINT received, shutting down gracefully');
-//   server.close(() => {
-//     console.log('✅ Server closed');
-//     mongoose.connection.close(() => {
-//       console.log('✅ Database connection closed');
-//       process.exit(0);
-//     });
-//   });
-// });
-
-// module.exports = { app, io }; 
-const alertRoutes = require('./routes/alertRoutes');
-// ...existing code...
-app.use('/api/alerts', alertRoutes);
-// ...existing code...
\ No newline at end of file
+  // Initialize services after server starts
+  await initializeServices();
+});
+
+// Graceful shutdown
+process.on('SIGTERM', () => {
+  console.log('🛑 SIGTERM received, shutting down gracefully');
+  server.close(() => {
+    console.log('✅ Server closed');
+    mongoose.connection.close().then(() => {
+      console.log('✅ Database connection closed');
+      process.exit(0);
+    });
+  });
+});
+
+process.on('SIGINT', () => {
+  console.log('🛑 SIGINT received, shutting down gracefully');
+  server.close(() => {
+    console.log('✅ Server closed');
+    mongoose.connection.close().then(() => {
+      console.log('✅ Database connection closed');
+      process.exit(0);
+    });
+  });
+});
+
+module.exports = { app, io };
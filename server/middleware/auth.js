@@ -0,0 +1,76 @@
+const AuthService = require('../services/AuthService');
+const AccessService = require('../services/AccessService');
+
+const forbidden = (res, message) => res.status(403).json({
+  success: false,
+  error: 'Forbidden',
+  message
+});
+
+// Bearer header, or an access_token query parameter on GET requests for
+// media the browser loads by URL (images, recordings)
+const tokenFrom = (req) => {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    return header.slice('Bearer '.length);
+  }
+  if (req.method === 'GET' && req.query.access_token) {
+    return req.query.access_token;
+  }
+  return null;
+};
+
+// Reject requests without a valid access token, otherwise set req.user
+const authenticate = async (req, res, next) => {
+  try {
+    req.user = await AuthService.authenticate(tokenFrom(req));
+    next();
+  } catch (error) {
+    if (error.code !== 'UNAUTHORIZED') {
+      return next(error);
+    }
+    res.status(401).json({
+      success: false,
+      error: 'Unauthorized',
+      message: error.message
+    });
+  }
+};
+
+// Same check for Socket.IO handshakes, which carry the token in auth.token
+const authenticateSocket = async (socket, next) => {
+  try {
+    socket.user = await AuthService.authenticate(socket.handshake.auth && socket.handshake.auth.token);
+    next();
+  } catch (error) {
+    next(error.code === 'UNAUTHORIZED' ? new Error('Unauthorized') : error);
+  }
+};
+
+// Only let users with at least the given role through
+const requireRole = (role) => (req, res, next) => {
+  if (AccessService.hasRole(req.user, role)) {
+    return next();
+  }
+  forbidden(res, `This action requires the ${role} role`);
+};
+
+// Only let users through who were granted the stream named by the route parameter
+const requireStreamAccess = (param = 'id') => async (req, res, next) => {
+  try {
+    if (await AccessService.canAccessStream(req.user, req.params[param])) {
+      return next();
+    }
+    forbidden(res, 'You do not have access to this stream');
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  forbidden,
+  authenticate,
+  authenticateSocket,
+  requireRole,
+  requireStreamAccess
+};
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+const aiJobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['single', 'batch'],
+    default: 'single'
+  },
+  streamIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Stream',
+    required: true
+  }],
+  modelType: {
+    type: String,
+    required: true
+  },
+  // Parameters overriding the registered model configuration
+  parameters: mongoose.Schema.Types.Mixed,
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'partial', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  progress: {
+    total: { type: Number, default: 0 },
+    completed: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  results: [{
+    streamId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Stream'
+    },
+    resultId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Result'
+    },
+    success: Boolean,
+    error: String,
+    processedAt: Date
+  }],
+  error: String,
+  startedAt: Date,
+  completedAt: Date,
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for queue order and listing
+aiJobSchema.index({ status: 1, createdAt: 1 });
+aiJobSchema.index({ streamIds: 1 });
+aiJobSchema.index({ createdAt: -1 });
+
+// Virtual for completion percentage
+aiJobSchema.virtual('percentComplete').get(function() {
+  if (!this.progress.total) return 0;
+  return Math.round((this.progress.completed + this.progress.failed) / this.progress.total * 100);
+});
+
+aiJobSchema.set('toJSON', { virtuals: true });
+
+// Static method to atomically claim the oldest queued job
+aiJobSchema.statics.claimNextJob = function() {
+  return this.findOneAndUpdate(
+    { status: 'queued' },
+    { status: 'processing', startedAt: new Date() },
+    { sort: { createdAt: 1 }, new: true }
+  );
+};
+
+// Static method to count stream tasks still waiting or running
+aiJobSchema.statics.countPendingTasks = async function() {
+  const [pending] = await this.aggregate([
+    { $match: { status: { $in: ['queued', 'processing'] } } },
+    {
+      $group: {
+        _id: null,
+        tasks: {
+          $sum: {
+            $subtract: ['$progress.total', { $add: ['$progress.completed', '$progress.failed'] }]
+          }
+        }
+      }
+    }
+  ]);
+  return pending ? pending.tasks : 0;
+};
+
+module.exports = mongoose.model('AIJob', aiJobSchema);
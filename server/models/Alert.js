@@ -1,31 +1,385 @@
-const Stream = require('../models/Stream');
+const mongoose = require('mongoose');
 
-exports.getAllStreams = async (req, res) => {
-  try {
-    const streams = await Stream.find();
-    res.json(streams);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+// Allowed status changes: active → acknowledged → resolved, or dismissed on the way
+const STATUS_TRANSITIONS = {
+  active: ['acknowledged', 'dismissed'],
+  acknowledged: ['resolved', 'dismissed'],
+  resolved: [],
+  dismissed: []
+};
+
+// Repeats within this many seconds of a closed alert do not raise a new one
+const DEFAULT_COOLDOWN_SECONDS = 300;
+
+const alertSchema = new mongoose.Schema({
+  // Empty for alerts about the system as a whole
+  streamId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Stream'
+  },
+  type: {
+    type: String,
+    enum: ['detection', 'system', 'error', 'warning', 'info'],
+    required: true
+  },
+  // Rule that raised the alert, if any
+  ruleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AlertRule'
+  },
+  // Model type for detection alerts, 'system' otherwise
+  category: {
+    type: String,
+    default: 'system'
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  severity: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'critical'],
+    default: 'medium'
+  },
+  status: {
+    type: String,
+    enum: Object.keys(STATUS_TRANSITIONS),
+    default: 'active'
+  },
+  data: mongoose.Schema.Types.Mixed,
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  acknowledgedBy: String,
+  acknowledgedAt: Date,
+  resolvedBy: String,
+  resolvedAt: Date,
+  resolution: String,
+  dismissedBy: String,
+  dismissedAt: Date,
+  dismissReason: String,
+  expiresAt: Date,
+  // Repeats of the same alert are counted on it instead of creating new documents
+  fingerprint: String,
+  occurrences: {
+    type: Number,
+    default: 1
+  },
+  firstSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Highest escalation tier reached while the alert stayed unacknowledged
+  escalationLevel: {
+    type: Number,
+    default: 0
+  },
+  escalations: [{
+    level: Number,
+    policyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'EscalationPolicy'
+    },
+    channelIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'NotificationChannel'
+    }],
+    escalatedAt: Date
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+alertSchema.index({ streamId: 1, timestamp: -1 });
+alertSchema.index({ status: 1, severity: 1 });
+alertSchema.index({ timestamp: -1 });
+alertSchema.index({ expiresAt: 1 });
+alertSchema.index({ fingerprint: 1, lastSeenAt: -1 });
+// At most one open alert per fingerprint, even when repeats are raised concurrently
+alertSchema.index({ fingerprint: 1 }, {
+  unique: true,
+  partialFilterExpression: {
+    fingerprint: { $exists: true },
+    status: { $in: ['active', 'acknowledged'] }
   }
+});
+
+// Virtual for whether the alert still needs attention
+alertSchema.virtual('isOpen').get(function() {
+  return this.status === 'active' || this.status === 'acknowledged';
+});
+
+alertSchema.set('toJSON', { virtuals: true });
+
+// Instance method to check a status change against the state machine
+alertSchema.methods.canTransitionTo = function(status) {
+  return STATUS_TRANSITIONS[this.status].includes(status);
 };
 
-exports.createStream = async (req, res) => {
-  try {
-    const stream = new Stream(req.body);
-    await stream.save();
-    res.status(201).json(stream);
-  } catch (err) {
-    res.status(400).json({ error: err.message });
+// Instance method to move to a new status, rejecting transitions the state machine forbids
+alertSchema.methods.transitionTo = function(status, fields = {}) {
+  if (!this.canTransitionTo(status)) {
+    const error = new Error(`Cannot change alert from ${this.status} to ${status}`);
+    error.code = 'INVALID_TRANSITION';
+    throw error;
+  }
+
+  this.status = status;
+  Object.assign(this, fields);
+  return this.save();
+};
+
+// Instance method to acknowledge alert
+alertSchema.methods.acknowledge = function(acknowledgedBy) {
+  return this.transitionTo('acknowledged', {
+    acknowledgedBy,
+    acknowledgedAt: new Date()
+  });
+};
+
+// Instance method to resolve alert
+alertSchema.methods.resolve = function(resolvedBy, resolution) {
+  return this.transitionTo('resolved', {
+    resolvedBy,
+    resolvedAt: new Date(),
+    resolution
+  });
+};
+
+// Instance method to dismiss alert
+alertSchema.methods.dismiss = function(dismissedBy, reason) {
+  return this.transitionTo('dismissed', {
+    dismissedBy,
+    dismissedAt: new Date(),
+    dismissReason: reason
+  });
+};
+
+// Static method to apply a status change to every matching alert the state machine allows it for.
+// Returns the number changed and the changed alerts, for broadcasting and auditing.
+alertSchema.statics.bulkTransition = async function(filter, status, fields = {}) {
+  const fromStatuses = Object.keys(STATUS_TRANSITIONS)
+    .filter(from => STATUS_TRANSITIONS[from].includes(status));
+
+  const matching = await this.find({ ...filter, status: { $in: fromStatuses } }).select('_id').lean();
+  const ids = matching.map(alert => alert._id);
+  if (ids.length === 0) {
+    return { modifiedCount: 0, alerts: [] };
   }
+
+  const result = await this.updateMany(
+    { _id: { $in: ids }, status: { $in: fromStatuses } },
+    { $set: { status, ...fields } }
+  );
+  const alerts = await this.find({ _id: { $in: ids }, status });
+  return { modifiedCount: result.modifiedCount, alerts };
+};
+
+// Static method to get active alerts
+alertSchema.statics.getActiveAlerts = function(limit = 100, scope = {}) {
+  return this.find({ ...scope, status: 'active' })
+    .sort({ timestamp: -1 })
+    .limit(limit)
+    .populate('streamId', 'name status');
 };
 
-exports.updateStreamStatus = async (req, res) => {
+// Static method to get open critical alerts
+alertSchema.statics.getCriticalAlerts = function(limit = 100, scope = {}) {
+  return this.find({
+    ...scope,
+    severity: 'critical',
+    status: { $in: ['active', 'acknowledged'] }
+  })
+    .sort({ timestamp: -1 })
+    .limit(limit)
+    .populate('streamId', 'name status');
+};
+
+// Static method to get alerts by stream
+alertSchema.statics.getAlertsByStream = function(streamId, limit = 100) {
+  return this.find({ streamId })
+    .sort({ timestamp: -1 })
+    .limit(limit);
+};
+
+// Static method to get alert statistics
+alertSchema.statics.getAlertStatistics = async function(timeRange = 24, scope = {}) {
+  const startTime = new Date(Date.now() - timeRange * 60 * 60 * 1000);
+  const countBy = (field) => [
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    { $sort: { count: -1 } }
+  ];
+
+  const [statistics] = await this.aggregate([
+    {
+      $match: {
+        ...scope,
+        timestamp: { $gte: startTime }
+      }
+    },
+    {
+      $facet: {
+        total: [{ $count: 'count' }],
+        byStatus: countBy('status'),
+        bySeverity: countBy('severity'),
+        byType: countBy('type'),
+        byCategory: countBy('category')
+      }
+    }
+  ]);
+
+  const toObject = (groups) => groups.reduce((acc, group) => {
+    acc[group._id] = group.count;
+    return acc;
+  }, {});
+
+  return {
+    timeRange,
+    total: statistics.total.length > 0 ? statistics.total[0].count : 0,
+    byStatus: toObject(statistics.byStatus),
+    bySeverity: toObject(statistics.bySeverity),
+    byType: toObject(statistics.byType),
+    byCategory: toObject(statistics.byCategory)
+  };
+};
+
+// Static method to delete closed alerts, keeping critical ones for longer
+alertSchema.statics.cleanOldAlerts = async function(expirationHours = 24, criticalRetentionDays = 30) {
+  const closed = { $in: ['resolved', 'dismissed'] };
+  const expirationCutoff = new Date(Date.now() - expirationHours * 60 * 60 * 1000);
+  const criticalCutoff = new Date(Date.now() - criticalRetentionDays * 24 * 60 * 60 * 1000);
+
+  const [regular, critical] = await Promise.all([
+    this.deleteMany({
+      status: closed,
+      severity: { $ne: 'critical' },
+      updatedAt: { $lt: expirationCutoff }
+    }),
+    this.deleteMany({
+      status: closed,
+      severity: 'critical',
+      updatedAt: { $lt: criticalCutoff }
+    })
+  ]);
+
+  return { deletedCount: regular.deletedCount + critical.deletedCount };
+};
+
+// Static method to raise an alert or count a repeat on the matching one.
+// A repeat folds into the open alert with the same fingerprint, or into the
+// latest one closed within the cooldown. The cooldown runs from when the alert
+// was resolved or dismissed, so repeats cannot keep extending it.
+alertSchema.statics.raise = async function(fields, { fingerprint, cooldownSeconds = 0 } = {}) {
+  const now = new Date();
+  const repeat = {
+    $inc: { occurrences: 1 },
+    $set: { lastSeenAt: now }
+  };
+  const options = { sort: { lastSeenAt: -1 }, new: true };
+  const open = { fingerprint, status: { $in: ['active', 'acknowledged'] } };
+
+  let alert = await this.findOneAndUpdate(open, repeat, options);
+
+  if (!alert && cooldownSeconds > 0) {
+    const closedSince = { $gte: new Date(now.getTime() - cooldownSeconds * 1000) };
+    alert = await this.findOneAndUpdate(
+      {
+        fingerprint,
+        $or: [
+          { status: 'resolved', resolvedAt: closedSince },
+          { status: 'dismissed', dismissedAt: closedSince }
+        ]
+      },
+      repeat,
+      options
+    );
+  }
+
+  if (alert) {
+    return { alert, created: false };
+  }
+
   try {
-    const { id } = req.params;
-    const { status } = req.body;
-    const stream = await Stream.findByIdAndUpdate(id, { status }, { new: true });
-    res.json(stream);
-  } catch (err) {
-    res.status(400).json({ error: err.message });
+    alert = await this.create({
+      ...fields,
+      fingerprint,
+      occurrences: 1,
+      timestamp: now,
+      firstSeenAt: now,
+      lastSeenAt: now
+    });
+    return { alert, created: true };
+  } catch (error) {
+    // Another raise created the open alert first: count this one as its repeat
+    if (error.code !== 11000) {
+      throw error;
+    }
+    alert = await this.findOneAndUpdate(open, repeat, options);
+    if (!alert) {
+      throw error;
+    }
+    return { alert, created: false };
   }
-};
\ No newline at end of file
+};
+
+// Static method to raise an alert for AI detections
+alertSchema.statics.createDetectionAlert = async function(streamId, detections, modelType) {
+  const maxConfidence = Math.max(...detections.map(detection => detection.confidence));
+  const labels = [...new Set(detections.map(detection => detection.label))];
+
+  const { alert } = await this.raise({
+    streamId,
+    type: 'detection',
+    category: modelType,
+    title: `${labels.join(', ')} detected`,
+    message: `${modelType} detected ${detections.length} object(s): ${labels.join(', ')} ` +
+      `(confidence up to ${Math.round(maxConfidence * 100)}%)`,
+    severity: maxConfidence >= 0.95 ? 'high' : 'medium',
+    data: {
+      modelType,
+      detections
+    }
+  }, {
+    fingerprint: `${streamId}:${modelType}:${labels.sort().join(',')}`,
+    cooldownSeconds: DEFAULT_COOLDOWN_SECONDS
+  });
+  return alert;
+};
+
+// Static method to raise an alert created through the API. Repeats of an open
+// alert are counted on it; a closed one is never reopened.
+alertSchema.statics.createManualAlert = function(fields) {
+  return this.raise(fields, {
+    fingerprint: `${fields.streamId || 'global'}:manual:${fields.type}:${fields.title}`
+  });
+};
+
+// Static method to raise a system alert
+alertSchema.statics.createSystemAlert = async function(streamId, type, title, message, severity = 'medium', data = {}) {
+  const { alert } = await this.raise({
+    streamId,
+    type,
+    category: 'system',
+    title,
+    message,
+    severity,
+    data
+  }, {
+    fingerprint: `${streamId || 'global'}:system:${title}`,
+    cooldownSeconds: DEFAULT_COOLDOWN_SECONDS
+  });
+  return alert;
+};
+
+module.exports = mongoose.model('Alert', alertSchema);
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+const boxSchema = new mongoose.Schema({
+  x: { type: Number, required: true },
+  y: { type: Number, required: true },
+  width: { type: Number, required: true },
+  height: { type: Number, required: true }
+}, { _id: false });
+
+const alertRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Streams the rule applies to, all streams when empty
+  streamIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Stream'
+  }],
+  // Model types the rule applies to, all model types when empty
+  modelTypes: [{
+    type: String,
+    enum: ['object-detection', 'defect-analysis', 'face-recognition', 'motion-detection']
+  }],
+  conditions: {
+    // Detection labels, defect types or face names to match, any when empty
+    labels: [String],
+    minConfidence: {
+      type: Number,
+      min: 0,
+      max: 1,
+      default: 0
+    },
+    // Matching items needed in a single result
+    minCount: {
+      type: Number,
+      min: 1,
+      default: 1
+    },
+    // Lowest defect severity that matches
+    minSeverity: {
+      type: String,
+      enum: ['low', 'medium', 'high', 'critical']
+    },
+    // Only items whose box overlaps this zone, in frame pixels
+    zone: boxSchema,
+    // Fire only after this many matching results within the window
+    window: {
+      count: { type: Number, min: 1 },
+      seconds: { type: Number, min: 1 }
+    }
+  },
+  severity: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'critical'],
+    default: 'medium'
+  },
+  // Repeats within this many seconds of a closed alert are counted on it
+  cooldownSeconds: {
+    type: Number,
+    min: 0,
+    default: 60
+  },
+  lastTriggeredAt: Date,
+  triggerCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for looking up the rules of a stream
+alertRuleSchema.index({ enabled: 1 });
+alertRuleSchema.index({ streamIds: 1 });
+
+// Instance method to check whether the rule covers a stream and model type
+alertRuleSchema.methods.appliesTo = function(streamId, modelType) {
+  const streamMatches = this.streamIds.length === 0 ||
+    this.streamIds.some(id => id.toString() === streamId.toString());
+  const modelMatches = this.modelTypes.length === 0 || this.modelTypes.includes(modelType);
+  return this.enabled && streamMatches && modelMatches;
+};
+
+module.exports = mongoose.model('AlertRule', alertRuleSchema);
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const changeSchema = new mongoose.Schema({
+  // Dotted path of the changed field, e.g. settings.fps
+  field: String,
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const auditLogSchema = new mongoose.Schema({
+  // What was done, e.g. stream.start or alert.acknowledge
+  action: {
+    type: String,
+    required: true
+  },
+  // Who did it; system actions have no user
+  actor: {
+    type: {
+      type: String,
+      enum: ['user', 'system'],
+      default: 'user'
+    },
+    userId: String,
+    username: String,
+    role: String
+  },
+  // What it was done to
+  targetType: {
+    type: String,
+    required: true
+  },
+  targetId: String,
+  targetName: String,
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  changes: [changeSchema],
+  // Extra details such as a bulk filter or the number of deleted documents
+  details: mongoose.Schema.Types.Mixed,
+  ip: String,
+  timestamp: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+}, {
+  versionKey: false
+});
+
+// Indexes for better query performance
+auditLogSchema.index({ timestamp: -1 });
+auditLogSchema.index({ action: 1, timestamp: -1 });
+auditLogSchema.index({ 'actor.username': 1, timestamp: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, timestamp: -1 });
+
+// Entries are written once and never changed or removed
+const rejectChange = function(next) {
+  next(new Error('Audit log entries cannot be changed'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+
+auditLogSchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+  'findOneAndRemove'
+], rejectChange);
+
+auditLogSchema.pre('deleteOne', { document: true, query: false }, rejectChange);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3, critical: 4 };
+
+const tierSchema = new mongoose.Schema({
+  // Minutes after the alert was raised, while it is still unacknowledged
+  afterMinutes: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  channelIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NotificationChannel'
+  }]
+}, { _id: false });
+
+const escalationPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Lowest alert severity the policy applies to
+  minSeverity: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'critical'],
+    default: 'high'
+  },
+  // Streams the policy applies to, all streams when empty
+  streamIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Stream'
+  }],
+  // Escalation tiers, in the order they are reached
+  tiers: {
+    type: [tierSchema],
+    validate: {
+      validator: tiers => tiers.length > 0,
+      message: 'An escalation policy needs at least one tier'
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Keep tiers in the order they fire
+escalationPolicySchema.pre('save', function(next) {
+  this.tiers.sort((a, b) => a.afterMinutes - b.afterMinutes);
+  next();
+});
+
+// Instance method to check whether an alert falls under the policy
+escalationPolicySchema.methods.appliesTo = function(alert) {
+  const severityMatches = SEVERITY_RANK[alert.severity] >= SEVERITY_RANK[this.minSeverity];
+  const streamMatches = this.streamIds.length === 0 || (alert.streamId &&
+    this.streamIds.some(id => id.toString() === alert.streamId.toString()));
+  return this.enabled && severityMatches && streamMatches;
+};
+
+// Static method to get enabled policies
+escalationPolicySchema.statics.getEnabledPolicies = function() {
+  return this.find({ enabled: true }).sort({ createdAt: 1 });
+};
+
+// Static method to list the severities at or above a level
+escalationPolicySchema.statics.severitiesFrom = function(minSeverity) {
+  return Object.keys(SEVERITY_RANK).filter(severity => SEVERITY_RANK[severity] >= SEVERITY_RANK[minSeverity]);
+};
+
+module.exports = mongoose.model('EscalationPolicy', escalationPolicySchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+const notificationChannelSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['webhook', 'email', 'slack'],
+    required: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Alert severities routed to this channel, all severities when empty
+  severities: [{
+    type: String,
+    enum: ['low', 'medium', 'high', 'critical']
+  }],
+  // Streams routed to this channel, all streams when empty
+  streamIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Stream'
+  }],
+  // webhook: { url, method, headers }
+  // email: { host, port, secure, username, password, from, to }
+  // slack: { url }
+  config: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Message templates with {{alert.title}} style placeholders, defaults apply when empty
+  templates: {
+    subject: String,
+    body: String
+  },
+  retry: {
+    attempts: { type: Number, min: 1, max: 10, default: 3 },
+    backoffMs: { type: Number, min: 0, default: 1000 }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for routing lookups
+notificationChannelSchema.index({ enabled: 1 });
+
+// Instance method to check whether an alert is routed to this channel
+notificationChannelSchema.methods.routes = function(alert) {
+  const severityMatches = this.severities.length === 0 || this.severities.includes(alert.severity);
+  const streamMatches = this.streamIds.length === 0 || (alert.streamId &&
+    this.streamIds.some(id => id.toString() === (alert.streamId._id || alert.streamId).toString()));
+  return this.enabled && severityMatches && streamMatches;
+};
+
+// Hide SMTP passwords and webhook header values, which usually carry tokens, from API responses
+notificationChannelSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    if (ret.config && ret.config.password) {
+      ret.config = { ...ret.config, password: '********' };
+    }
+    if (ret.config && ret.config.headers) {
+      const headers = Object.keys(ret.config.headers).reduce((masked, name) => {
+        masked[name] = '********';
+        return masked;
+      }, {});
+      ret.config = { ...ret.config, headers };
+    }
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('NotificationChannel', notificationChannelSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const notificationLogSchema = new mongoose.Schema({
+  channelId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NotificationChannel',
+    required: true
+  },
+  channelType: String,
+  alertId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alert'
+  },
+  // What caused the notification, e.g. created or test
+  event: {
+    type: String,
+    default: 'created'
+  },
+  status: {
+    type: String,
+    enum: ['sent', 'failed'],
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  subject: String,
+  // HTTP status code or SMTP response of the last attempt
+  response: String,
+  error: String,
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+notificationLogSchema.index({ channelId: 1, timestamp: -1 });
+notificationLogSchema.index({ alertId: 1 });
+notificationLogSchema.index({ status: 1, timestamp: -1 });
+
+// Static method to clean old log entries
+notificationLogSchema.statics.cleanOldLogs = function(daysToKeep = 30) {
+  const cutoffDate = new Date(Date.now() - daysToKeep * 24 * 60 * 60 * 1000);
+  return this.deleteMany({ timestamp: { $lt: cutoffDate } });
+};
+
+module.exports = mongoose.model('NotificationLog', notificationLogSchema);
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+const recordingSchema = new mongoose.Schema({
+  streamId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Stream',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['continuous', 'event'],
+    required: true
+  },
+  format: {
+    type: String,
+    enum: ['mp4', 'ts'],
+    default: 'mp4'
+  },
+  // Path relative to the uploads directory, e.g. recordings/<dir>/<file>
+  filePath: {
+    type: String,
+    required: true
+  },
+  fileName: {
+    type: String,
+    required: true
+  },
+  startTime: {
+    type: Date,
+    required: true
+  },
+  endTime: {
+    type: Date,
+    required: true
+  },
+  duration: {
+    type: Number, // in seconds
+    required: true
+  },
+  size: {
+    type: Number, // in bytes
+    default: 0
+  },
+  // Event recordings only
+  event: {
+    alertIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Alert'
+    }],
+    triggeredAt: Date,
+    preRoll: Number,
+    postRoll: Number,
+    reason: String
+  },
+  status: {
+    type: String,
+    enum: ['completed', 'failed'],
+    default: 'completed'
+  },
+  error: {
+    message: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for timeline queries
+recordingSchema.index({ streamId: 1, startTime: 1 });
+recordingSchema.index({ streamId: 1, endTime: 1 });
+recordingSchema.index({ type: 1 });
+
+// Static method to get segments overlapping a time range
+recordingSchema.statics.getRecordingsByTimeRange = function(streamId, startTime, endTime) {
+  const query = { streamId, status: 'completed' };
+
+  if (startTime) {
+    query.endTime = { $gt: startTime };
+  }
+  if (endTime) {
+    query.startTime = { $lt: endTime };
+  }
+
+  return this.find(query).sort({ startTime: 1 });
+};
+
+// Static method to get the most recent recordings of a stream
+recordingSchema.statics.getRecordingsByStream = function(streamId, limit = 100) {
+  return this.find({ streamId })
+    .sort({ startTime: -1 })
+    .limit(limit);
+};
+
+module.exports = mongoose.model('Recording', recordingSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
 
 const resultSchema = new mongoose.Schema({
   streamId: {
@@ -68,7 +69,8 @@ const resultSchema = new mongoose.Schema({
   analysis: {
     // Defect analysis specific
     defects: [{
-      type: String,
+      // Wrapped, a bare `type` key would make this an array of strings
+      type: { type: String },
       severity: {
         type: String,
         enum: ['low', 'medium', 'high', 'critical']
@@ -255,12 +257,13 @@ resultSchema.statics.getDetectionStatistics = function(streamId, timeRange = 24)
 };
 
 // Static method to get model performance statistics
-resultSchema.statics.getModelPerformance = function(timeRange = 24) {
+resultSchema.statics.getModelPerformance = function(timeRange = 24, scope = {}) {
   const startTime = new Date(Date.now() - timeRange * 60 * 60 * 1000);
   
   return this.aggregate([
     {
       $match: {
+        ...scope,
         timestamp: { $gte: startTime }
       }
     },
@@ -281,8 +284,9 @@ resultSchema.statics.getModelPerformance = function(timeRange = 24) {
 };
 
 // Static method to get high-confidence detections
-resultSchema.statics.getHighConfidenceDetections = function(confidence = 0.8, limit = 50) {
+resultSchema.statics.getHighConfidenceDetections = function(confidence = 0.8, limit = 50, scope = {}) {
   return this.find({
+    ...scope,
     confidence: { $gte: confidence },
     'detections.confidence': { $gte: confidence }
   })
@@ -300,4 +304,6 @@ resultSchema.statics.cleanOldResults = function(daysToKeep = 30) {
   });
 };
 
+resultSchema.plugin(mongoosePaginate);
+
 module.exports = mongoose.model('Result', resultSchema); 
\ No newline at end of file
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const snapshotSchema = new mongoose.Schema({
+  streamId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Stream',
+    required: true
+  },
+  // Path relative to the uploads directory, e.g. images/<streamId>/<file>
+  filePath: {
+    type: String,
+    required: true
+  },
+  fileName: {
+    type: String,
+    required: true
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  frameNumber: Number,
+  trigger: {
+    type: String,
+    enum: ['interval', 'alert', 'manual'],
+    default: 'interval'
+  },
+  alertId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alert'
+  },
+  width: Number,
+  height: Number,
+  size: Number // in bytes
+}, {
+  timestamps: true
+});
+
+// Indexes for latest-frame and time range lookups
+snapshotSchema.index({ streamId: 1, timestamp: -1 });
+// Retention cleanup
+snapshotSchema.index({ timestamp: 1 });
+
+// Static method to get the most recent snapshot of a stream
+snapshotSchema.statics.getLatestSnapshot = function(streamId) {
+  return this.findOne({ streamId }).sort({ timestamp: -1 });
+};
+
+// Static method to get snapshots by time range
+snapshotSchema.statics.getSnapshotsByTimeRange = function(streamId, startTime, endTime, limit = 100) {
+  const query = { streamId };
+
+  if (startTime || endTime) {
+    query.timestamp = {};
+    if (startTime) query.timestamp.$gte = startTime;
+    if (endTime) query.timestamp.$lte = endTime;
+  }
+
+  return this.find(query)
+    .sort({ timestamp: -1 })
+    .limit(limit);
+};
+
+module.exports = mongoose.model('Snapshot', snapshotSchema);
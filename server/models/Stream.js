@@ -1,4 +1,43 @@
 const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+const { encryptSecret, decryptCredentials } = require('../utils/secrets');
+
+// Shown instead of stored credentials; sending it back keeps the stored value
+const CREDENTIALS_MASK = '********';
+const CREDENTIAL_FIELDS = ['username', 'password'];
+
+// Processing settings; every field has a default so workers can rely on them
+const settingsSchema = new mongoose.Schema({
+  // Frames decoded and analysed per second, below 1 for slow snapshot cameras
+  fps: { type: Number, min: 0.1, max: 60, default: 15 },
+  resolution: {
+    width: { type: Number, min: 16, max: 7680, default: 1280 },
+    height: { type: Number, min: 16, max: 4320, default: 720 }
+  },
+  quality: { type: String, enum: ['low', 'medium', 'high'], default: 'medium' },
+  recording: {
+    enabled: { type: Boolean, default: false },
+    mode: { type: String, enum: ['continuous', 'event'], default: 'continuous' },
+    // Segment length in seconds for continuous recording
+    duration: { type: Number, min: 10, max: 86400, default: 3600 },
+    format: { type: String, enum: ['mp4', 'ts'], default: 'mp4' },
+    // Seconds kept before and after an alert in event mode
+    preRoll: { type: Number, min: 0, max: 300, default: 10 },
+    postRoll: { type: Number, min: 0, max: 300, default: 20 },
+    // Directory under uploads/recordings, the stream ID when unset
+    path: String
+  },
+  snapshots: {
+    enabled: { type: Boolean, default: true },
+    // Seconds between periodic snapshots
+    interval: { type: Number, min: 1, max: 86400, default: 60 }
+  },
+  // File sources only
+  playback: {
+    mode: { type: String, enum: ['once', 'loop'], default: 'once' },
+    startTime: { type: Number, min: 0, default: 0 }
+  }
+}, { _id: false });
 
 const streamSchema = new mongoose.Schema({
   name: { type: String, required: true, trim: true },
@@ -6,9 +45,10 @@ const streamSchema = new mongoose.Schema({
   source: {
     type: { type: String, required: true },
     url: { type: String, required: true },
+    // Encrypted as they are set, see utils/secrets
     credentials: {
-      username: String,
-      password: String
+      username: { type: String, set: encryptSecret },
+      password: { type: String, set: encryptSecret }
     }
   },
   aiModels: [{
@@ -17,9 +57,193 @@ const streamSchema = new mongoose.Schema({
     confidence: Number,
     parameters: mongoose.Schema.Types.Mixed
   }],
-  settings: mongoose.Schema.Types.Mixed,
+  settings: {
+    type: settingsSchema,
+    default: () => ({})
+  },
   metadata: mongoose.Schema.Types.Mixed,
-  status: { type: String, enum: ['active', 'inactive', 'error'], default: 'active' }
+  status: { type: String, enum: ['active', 'inactive', 'error'], default: 'active' },
+  // Counters since the last reset
+  statistics: {
+    framesProcessed: { type: Number, min: 0, default: 0 },
+    detections: { type: Number, min: 0, default: 0 },
+    errors: { type: Number, min: 0, default: 0 },
+    // Seconds since the stream last started
+    uptime: { type: Number, min: 0, default: 0 },
+    lastFrameAt: Date,
+    resetAt: Date
+  },
+  health: {
+    status: { type: String, enum: ['unknown', 'healthy', 'degraded', 'unhealthy'], default: 'unknown' },
+    message: String,
+    // Errors since the last good frame
+    consecutiveErrors: { type: Number, min: 0, default: 0 },
+    lastError: String,
+    lastErrorAt: Date,
+    checkedAt: Date
+  }
 }, { timestamps: true });
 
-module.exports = mongoose.model('Stream', streamSchema);
\ No newline at end of file
+// Indexes for better query performance
+streamSchema.index({ status: 1 });
+streamSchema.index({ 'metadata.site': 1 });
+
+streamSchema.plugin(mongoosePaginate);
+
+// Credentials are write-only: API responses only show whether they are set
+streamSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    const credentials = ret.source && ret.source.credentials;
+    if (credentials) {
+      CREDENTIAL_FIELDS.forEach(field => {
+        if (credentials[field]) credentials[field] = CREDENTIALS_MASK;
+      });
+    }
+    return ret;
+  }
+});
+
+// Instance method to get the plaintext credentials for connecting to the source
+streamSchema.methods.getCredentials = function() {
+  return decryptCredentials(this.source && this.source.credentials);
+};
+
+// Instance method to replace the source from an API request. Credentials that are
+// left out or sent back masked keep their stored value; null clears them.
+// Returns whether the credentials changed.
+streamSchema.methods.setSource = function(source) {
+  const { credentials } = source;
+  const stored = CREDENTIAL_FIELDS.map(field => this.get(`source.credentials.${field}`));
+  const next = {};
+
+  if (credentials !== null) {
+    CREDENTIAL_FIELDS.forEach(field => {
+      const value = credentials && credentials[field];
+      next[field] = value === undefined || value === CREDENTIALS_MASK
+        ? this.get(`source.credentials.${field}`)
+        : value;
+    });
+  }
+
+  this.set('source', { ...source, credentials: next });
+  return CREDENTIAL_FIELDS.some((field, index) => this.get(`source.credentials.${field}`) !== stored[index]);
+};
+
+// Instance method to count processed frames and detections, or an error.
+// Counters are incremented in the database so concurrent updates are not lost.
+// keepHealth records frames without clearing a degraded health status.
+streamSchema.methods.updateStatistics = async function(framesProcessed = 1, error = null, detections = 0, { keepHealth = false } = {}) {
+  const now = new Date();
+  const update = {
+    $inc: {
+      'statistics.framesProcessed': framesProcessed,
+      'statistics.detections': detections
+    },
+    $set: { 'health.checkedAt': now }
+  };
+
+  if (error) {
+    const message = error.message || String(error);
+    update.$inc['statistics.errors'] = 1;
+    update.$inc['health.consecutiveErrors'] = 1;
+    Object.assign(update.$set, {
+      'health.status': 'unhealthy',
+      'health.message': message,
+      'health.lastError': message,
+      'health.lastErrorAt': now
+    });
+  } else if (framesProcessed > 0) {
+    Object.assign(update.$set, {
+      'statistics.lastFrameAt': now,
+      'health.consecutiveErrors': 0
+    });
+    if (!keepHealth) {
+      Object.assign(update.$set, {
+        'health.status': 'healthy',
+        'health.message': null
+      });
+    }
+  }
+
+  const updated = await this.constructor.findByIdAndUpdate(this._id, update, {
+    new: true,
+    projection: { statistics: 1, health: 1 }
+  });
+  // Mirror the stored values without marking them for a later save to overwrite
+  if (updated) {
+    ['statistics', 'health'].forEach(field => {
+      this.set(field, updated.get(field));
+      this.unmarkModified(field);
+    });
+  }
+  return this;
+};
+
+// Instance method to zero the counters
+streamSchema.methods.resetStatistics = function() {
+  this.statistics = {
+    framesProcessed: 0,
+    detections: 0,
+    errors: 0,
+    uptime: 0,
+    lastFrameAt: null,
+    resetAt: new Date()
+  };
+  this.set('health.consecutiveErrors', 0);
+  return this.save();
+};
+
+// Static method to record a health check that found no error, e.g. a stalled stream.
+// Only the health fields are written, so a cached document cannot overwrite newer values.
+streamSchema.statics.setHealth = function(streamId, status, message = null) {
+  return this.updateOne({ _id: streamId }, {
+    $set: {
+      'health.status': status,
+      'health.message': message,
+      'health.checkedAt': new Date()
+    }
+  });
+};
+
+// Static method to get counts and counter totals over the matching streams
+streamSchema.statics.getStreamStatistics = async function(scope = {}) {
+  const countBy = (field) => [
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    { $sort: { count: -1 } }
+  ];
+
+  const [statistics] = await this.aggregate([
+    { $match: scope },
+    {
+      $facet: {
+        totals: [{
+          $group: {
+            _id: null,
+            streams: { $sum: 1 },
+            framesProcessed: { $sum: '$statistics.framesProcessed' },
+            detections: { $sum: '$statistics.detections' },
+            errors: { $sum: '$statistics.errors' }
+          }
+        }],
+        byStatus: countBy('status'),
+        byHealth: countBy('health.status'),
+        bySourceType: countBy('source.type')
+      }
+    }
+  ]);
+
+  const toCounts = (groups) => groups.reduce((counts, group) => {
+    counts[group._id || 'unknown'] = group.count;
+    return counts;
+  }, {});
+  const { _id, ...totals } = statistics.totals[0] || { streams: 0, framesProcessed: 0, detections: 0, errors: 0 };
+
+  return {
+    ...totals,
+    byStatus: toCounts(statistics.byStatus),
+    byHealth: toCounts(statistics.byHealth),
+    bySourceType: toCounts(statistics.bySourceType)
+  };
+};
+
+module.exports = mongoose.model('Stream', streamSchema);
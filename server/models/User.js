@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+const PASSWORD_SALT_ROUNDS = 10;
+
+const userSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+  displayName: {
+    type: String,
+    trim: true
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  passwordHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  // admin manages everything, operator runs streams and handles alerts, viewer only watches
+  role: {
+    type: String,
+    enum: ['admin', 'operator', 'viewer'],
+    default: 'viewer'
+  },
+  // Streams a non-admin may see, granted one by one or by their metadata.site
+  streamIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Stream'
+  }],
+  sites: [String],
+  // Refresh tokens still valid for this user, by token ID
+  sessions: {
+    type: [{
+      tokenId: String,
+      expiresAt: Date,
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    select: false
+  },
+  lastLoginAt: Date
+}, {
+  timestamps: true
+});
+
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    delete ret.sessions;
+    return ret;
+  }
+});
+
+// Instance method to hash and store a new password
+userSchema.methods.setPassword = async function(password) {
+  if (!password || password.length < 8) {
+    const error = new Error('Password must be at least 8 characters');
+    error.name = 'ValidationError';
+    throw error;
+  }
+  this.passwordHash = await bcrypt.hash(password, PASSWORD_SALT_ROUNDS);
+};
+
+// Instance method to check a password against the stored hash
+userSchema.methods.comparePassword = function(password) {
+  return bcrypt.compare(password || '', this.passwordHash);
+};
+
+// Static method to find a user by username along with the password hash
+userSchema.statics.findForLogin = function(username) {
+  return this.findOne({ username: (username || '').toLowerCase().trim() })
+    .select('+passwordHash');
+};
+
+module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+// Largest grid a video wall layout may use in either direction
+const MAX_GRID_SIZE = 8;
+
+const tileSchema = new mongoose.Schema({
+  // Cell index in the grid, row by row from the top left
+  position: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  streamId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Stream',
+    required: true
+  }
+}, { _id: false });
+
+const wallLayoutSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // User the layout belongs to
+  owner: {
+    type: String,
+    required: true
+  },
+  rows: {
+    type: Number,
+    min: 1,
+    max: MAX_GRID_SIZE,
+    default: 2
+  },
+  columns: {
+    type: Number,
+    min: 1,
+    max: MAX_GRID_SIZE,
+    default: 2
+  },
+  tiles: [tileSchema],
+  // Layout opened first on the video wall
+  isDefault: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for per-user lookups
+wallLayoutSchema.index({ owner: 1, name: 1 }, { unique: true });
+
+// Tiles must fit the grid and not share a cell
+wallLayoutSchema.pre('validate', function(next) {
+  const cells = this.rows * this.columns;
+  const positions = new Set();
+
+  for (const tile of this.tiles) {
+    if (tile.position >= cells) {
+      this.invalidate('tiles', `Tile position ${tile.position} is outside the ${this.rows}x${this.columns} grid`);
+    } else if (positions.has(tile.position)) {
+      this.invalidate('tiles', `Several tiles share position ${tile.position}`);
+    }
+    positions.add(tile.position);
+  }
+  next();
+});
+
+// Static method to get a user's layouts, default first
+wallLayoutSchema.statics.getLayoutsByOwner = function(owner) {
+  return this.find({ owner }).sort({ isDefault: -1, name: 1 });
+};
+
+// Static method to unset the user's other defaults when a layout becomes the default
+wallLayoutSchema.statics.clearOtherDefaults = function(layout) {
+  return this.updateMany(
+    { owner: layout.owner, _id: { $ne: layout._id } },
+    { $set: { isDefault: false } }
+  );
+};
+
+module.exports = mongoose.model('WallLayout', wallLayoutSchema);
@@ -5,6 +5,21 @@ const router = express.Router();
 const Result = require('../models/Result');
 const Stream = require('../models/Stream');
 const AIService = require('../services/AIService');
+const AccessService = require('../services/AccessService');
+const AuditService = require('../services/AuditService');
+const { forbidden, requireRole, requireStreamAccess } = require('../middleware/auth');
+
+// HTTP status for errors raised by the AI service
+const errorStatus = (error) => {
+  switch (error.code) {
+    case 'UNKNOWN_MODEL':
+      return 400;
+    case 'QUEUE_FULL':
+      return 503;
+    default:
+      return 500;
+  }
+};
 
 // GET /api/ai/models - Get available AI models
 router.get('/models', async (req, res) => {
@@ -26,7 +41,7 @@ router.get('/models', async (req, res) => {
 });
 
 // POST /api/ai/process - Process stream with AI model
-router.post('/process', async (req, res) => {
+router.post('/process', requireRole('operator'), async (req, res) => {
   try {
     const { streamId, modelType, parameters } = req.body;
     
@@ -37,6 +52,10 @@ router.post('/process', async (req, res) => {
       });
     }
     
+    if (!(await AccessService.canAccessStream(req.user, streamId))) {
+      return forbidden(res, 'You do not have access to this stream');
+    }
+    
     // Check if stream exists
     const stream = await Stream.findById(streamId);
     if (!stream) {
@@ -46,17 +65,17 @@ router.post('/process', async (req, res) => {
       });
     }
     
-    // Process stream with AI
-    const result = await AIService.processStream(streamId, modelType, parameters);
+    // Queue the stream for AI processing
+    const job = await AIService.processStream(streamId, modelType, parameters);
     
-    res.json({
+    res.status(202).json({
       success: true,
-      data: result,
-      message: 'AI processing completed successfully'
+      data: job,
+      message: 'AI processing queued'
     });
   } catch (error) {
     console.error('Error processing AI:', error);
-    res.status(500).json({
+    res.status(errorStatus(error)).json({
       success: false,
       error: 'Failed to process AI',
       message: error.message
@@ -107,6 +126,9 @@ router.get('/results', async (req, res) => {
       query.status = status;
     }
     
+    // Only results of streams the user was granted
+    query.$and = [await AccessService.streamScope(req.user)];
+    
     const options = {
       page: parseInt(page),
       limit: parseInt(limit),
@@ -154,6 +176,11 @@ router.get('/results/:id', async (req, res) => {
       });
     }
     
+    const streamId = result.streamId && (result.streamId._id || result.streamId);
+    if (!(await AccessService.canAccessStream(req.user, streamId))) {
+      return forbidden(res, 'You do not have access to this stream');
+    }
+    
     res.json({
       success: true,
       data: result
@@ -169,7 +196,7 @@ router.get('/results/:id', async (req, res) => {
 });
 
 // DELETE /api/ai/results/:id - Delete AI result
-router.delete('/results/:id', async (req, res) => {
+router.delete('/results/:id', requireRole('admin'), async (req, res) => {
   try {
     const result = await Result.findById(req.params.id);
     
@@ -181,6 +208,7 @@ router.delete('/results/:id', async (req, res) => {
     }
     
     await Result.findByIdAndDelete(req.params.id);
+    await AuditService.record({ req, action: 'ai.result-delete', targetType: 'result', before: result });
     
     res.json({
       success: true,
@@ -201,7 +229,10 @@ router.get('/statistics', async (req, res) => {
   try {
     const { timeRange = 24 } = req.query;
     
-    const statistics = await Result.getModelPerformance(parseInt(timeRange));
+    const statistics = await Result.getModelPerformance(
+      parseInt(timeRange),
+      await AccessService.streamScope(req.user)
+    );
     
     res.json({
       success: true,
@@ -218,7 +249,7 @@ router.get('/statistics', async (req, res) => {
 });
 
 // GET /api/ai/statistics/:streamId - Get AI statistics for specific stream
-router.get('/statistics/:streamId', async (req, res) => {
+router.get('/statistics/:streamId', requireStreamAccess('streamId'), async (req, res) => {
   try {
     const { streamId } = req.params;
     const { timeRange = 24 } = req.query;
@@ -249,7 +280,7 @@ router.get('/statistics/:streamId', async (req, res) => {
 });
 
 // POST /api/ai/batch-process - Batch process multiple streams
-router.post('/batch-process', async (req, res) => {
+router.post('/batch-process', requireRole('operator'), async (req, res) => {
   try {
     const { streamIds, modelType, parameters } = req.body;
     
@@ -267,17 +298,21 @@ router.post('/batch-process', async (req, res) => {
       });
     }
     
-    // Process streams in batch
-    const results = await AIService.batchProcessStreams(streamIds, modelType, parameters);
+    if (!(await AccessService.canAccessStreams(req.user, streamIds))) {
+      return forbidden(res, 'You do not have access to this stream');
+    }
     
-    res.json({
+    // Queue the streams as one batch job
+    const job = await AIService.batchProcessStreams(streamIds, modelType, parameters);
+    
+    res.status(202).json({
       success: true,
-      data: results,
-      message: `Batch processing completed for ${results.length} streams`
+      data: job,
+      message: `Batch processing queued for ${streamIds.length} streams`
     });
   } catch (error) {
     console.error('Error batch processing:', error);
-    res.status(500).json({
+    res.status(errorStatus(error)).json({
       success: false,
       error: 'Failed to batch process streams',
       message: error.message
@@ -285,6 +320,96 @@ router.post('/batch-process', async (req, res) => {
   }
 });
 
+// GET /api/ai/jobs - Get AI jobs
+router.get('/jobs', requireRole('operator'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, modelType, streamId, type } = req.query;
+    
+    const jobs = await AIService.getJobs({
+      status,
+      modelType,
+      streamId,
+      type,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+    
+    res.json({
+      success: true,
+      data: jobs.docs,
+      pagination: {
+        page: jobs.page,
+        limit: jobs.limit,
+        totalPages: jobs.totalPages,
+        totalDocs: jobs.totalDocs,
+        hasNextPage: jobs.page < jobs.totalPages,
+        hasPrevPage: jobs.page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching AI jobs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch AI jobs',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/ai/jobs/:id - Get AI job progress and results
+router.get('/jobs/:id', requireRole('operator'), async (req, res) => {
+  try {
+    const job = await AIService.getJob(req.params.id);
+    
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'AI job not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    console.error('Error fetching AI job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch AI job',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/ai/jobs/:id - Cancel AI job
+router.delete('/jobs/:id', requireRole('operator'), async (req, res) => {
+  try {
+    const job = await AIService.cancelJob(req.params.id);
+    
+    if (!job) {
+      const existing = await AIService.getJob(req.params.id);
+      return res.status(existing ? 409 : 404).json({
+        success: false,
+        error: existing ? `AI job is already ${existing.status}` : 'AI job not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: job,
+      message: 'AI job cancelled'
+    });
+  } catch (error) {
+    console.error('Error cancelling AI job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel AI job',
+      message: error.message
+    });
+  }
+});
+
 // GET /api/ai/high-confidence - Get high confidence detections
 router.get('/high-confidence', async (req, res) => {
   try {
@@ -292,7 +417,8 @@ router.get('/high-confidence', async (req, res) => {
     
     const detections = await Result.getHighConfidenceDetections(
       parseFloat(confidence),
-      parseInt(limit)
+      parseInt(limit),
+      await AccessService.streamScope(req.user)
     );
     
     res.json({
@@ -310,11 +436,17 @@ router.get('/high-confidence', async (req, res) => {
 });
 
 // POST /api/ai/cleanup - Clean up old AI results
-router.post('/cleanup', async (req, res) => {
+router.post('/cleanup', requireRole('admin'), async (req, res) => {
   try {
     const { daysToKeep = 30 } = req.body;
     
     const result = await Result.cleanOldResults(parseInt(daysToKeep));
+    await AuditService.record({
+      req,
+      action: 'ai.cleanup',
+      targetType: 'result',
+      details: { daysToKeep: parseInt(daysToKeep), deletedCount: result.deletedCount }
+    });
     
     res.json({
       success: true,
@@ -332,7 +464,7 @@ router.post('/cleanup', async (req, res) => {
 });
 
 // GET /api/ai/stream/:streamId/detections - Get detections for a stream
-router.get('/stream/:streamId/detections', async (req, res) => {
+router.get('/stream/:streamId/detections', requireStreamAccess('streamId'), async (req, res) => {
   try {
     const { streamId } = req.params;
     const { limit = 100, modelType } = req.query;
@@ -384,7 +516,7 @@ router.get('/stream/:streamId/detections', async (req, res) => {
 });
 
 // POST /api/ai/stream/:streamId/process - Process specific stream
-router.post('/stream/:streamId/process', async (req, res) => {
+router.post('/stream/:streamId/process', requireRole('operator'), requireStreamAccess('streamId'), async (req, res) => {
   try {
     const { streamId } = req.params;
     const { modelType, parameters } = req.body;
@@ -398,17 +530,17 @@ router.post('/stream/:streamId/process', async (req, res) => {
       });
     }
     
-    // Process stream
-    const result = await AIService.processStream(streamId, modelType, parameters);
+    // Queue the stream for processing
+    const job = await AIService.processStream(streamId, modelType, parameters);
     
-    res.json({
+    res.status(202).json({
       success: true,
-      data: result,
-      message: 'Stream processed successfully'
+      data: job,
+      message: 'Stream processing queued'
     });
   } catch (error) {
     console.error('Error processing stream:', error);
-    res.status(500).json({
+    res.status(errorStatus(error)).json({
       success: false,
       error: 'Failed to process stream',
       message: error.message
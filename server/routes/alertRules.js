@@ -0,0 +1,164 @@
+const express = require('express');
+const router = express.Router();
+
+// Import models and services
+const AlertRule = require('../models/AlertRule');
+const AlertRuleService = require('../services/AlertRuleService');
+
+// GET /api/alert-rules - Get all alert rules
+router.get('/', async (req, res) => {
+  try {
+    const { enabled, streamId, modelType } = req.query;
+
+    let query = {};
+
+    if (enabled !== undefined) {
+      query.enabled = enabled === 'true';
+    }
+
+    // Rules scoped to the stream plus rules for all streams
+    if (streamId) {
+      query.$or = [
+        { streamIds: streamId },
+        { streamIds: { $size: 0 } }
+      ];
+    }
+
+    if (modelType) {
+      query.$and = [{
+        $or: [
+          { modelTypes: modelType },
+          { modelTypes: { $size: 0 } }
+        ]
+      }];
+    }
+
+    const rules = await AlertRule.find(query)
+      .sort({ name: 1 })
+      .populate('streamIds', 'name status');
+
+    res.json({
+      success: true,
+      data: rules
+    });
+  } catch (error) {
+    console.error('Error fetching alert rules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch alert rules',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/alert-rules/:id - Get alert rule by ID
+router.get('/:id', async (req, res) => {
+  try {
+    const rule = await AlertRule.findById(req.params.id)
+      .populate('streamIds', 'name status');
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    console.error('Error fetching alert rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch alert rule',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/alert-rules - Create alert rule
+router.post('/', async (req, res) => {
+  try {
+    const { lastTriggeredAt, triggerCount, ...fields } = req.body;
+    const rule = new AlertRule(fields);
+    await rule.save();
+    AlertRuleService.invalidate();
+
+    res.status(201).json({
+      success: true,
+      data: rule,
+      message: 'Alert rule created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating alert rule:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: 'Failed to create alert rule',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/alert-rules/:id - Update alert rule
+router.put('/:id', async (req, res) => {
+  try {
+    const rule = await AlertRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert rule not found'
+      });
+    }
+
+    const { lastTriggeredAt, triggerCount, ...fields } = req.body;
+    rule.set(fields);
+    await rule.save();
+    AlertRuleService.invalidate();
+
+    res.json({
+      success: true,
+      data: rule,
+      message: 'Alert rule updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating alert rule:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: 'Failed to update alert rule',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/alert-rules/:id - Delete alert rule
+router.delete('/:id', async (req, res) => {
+  try {
+    const rule = await AlertRule.findByIdAndDelete(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert rule not found'
+      });
+    }
+
+    AlertRuleService.invalidate();
+
+    res.json({
+      success: true,
+      message: 'Alert rule deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting alert rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete alert rule',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
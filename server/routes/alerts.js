@@ -1,6 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const alertController = require('../controllers/alertController');
+const { requireRole, requireStreamAccess } = require('../middleware/auth');
+
+// Viewers only read alerts; operators handle them; admins delete them
+const operator = requireRole('operator');
+const admin = requireRole('admin');
 
 // Get all alerts
 router.get('/', alertController.getAllAlerts);
@@ -12,21 +17,43 @@ router.get('/active', alertController.getActiveAlerts);
 router.get('/critical', alertController.getCriticalAlerts);
 
 // Get alerts by stream
-router.get('/stream/:streamId', alertController.getAlertsByStream);
+router.get('/stream/:streamId', requireStreamAccess('streamId'), alertController.getAlertsByStream);
 
 // Get alert statistics
+router.get('/statistics/overview', alertController.getAlertStatistics);
 router.get('/stats', alertController.getAlertStatistics);
 
 // Create a new alert
-router.post('/', alertController.createAlert);
+router.post('/', operator, alertController.createAlert);
+
+// Acknowledge alerts matching a filter
+router.post('/bulk-acknowledge', operator, alertController.bulkAcknowledgeAlerts);
+
+// Resolve alerts matching a filter
+router.post('/bulk-resolve', operator, alertController.bulkResolveAlerts);
+
+// Delete old closed alerts
+router.post('/cleanup', admin, alertController.cleanupAlerts);
+
+// Get an alert
+router.get('/:id', alertController.getAlert);
+
+// Update an alert
+router.put('/:id', operator, alertController.updateAlert);
+
+// Delete an alert
+router.delete('/:id', admin, alertController.deleteAlert);
 
 // Acknowledge an alert
-router.patch('/:id/acknowledge', alertController.acknowledgeAlert);
+router.post('/:id/acknowledge', operator, alertController.acknowledgeAlert);
+router.patch('/:id/acknowledge', operator, alertController.acknowledgeAlert);
 
 // Resolve an alert
-router.patch('/:id/resolve', alertController.resolveAlert);
+router.post('/:id/resolve', operator, alertController.resolveAlert);
+router.patch('/:id/resolve', operator, alertController.resolveAlert);
 
 // Dismiss an alert
-router.patch('/:id/dismiss', alertController.dismissAlert);
+router.post('/:id/dismiss', operator, alertController.dismissAlert);
+router.patch('/:id/dismiss', operator, alertController.dismissAlert);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
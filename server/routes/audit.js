@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+
+// Import services
+const AuditService = require('../services/AuditService');
+
+// GET /api/audit - Get audit log entries, or download them with format=csv
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 50, format, action, actor, targetType, targetId, from, to } = req.query;
+    const filters = { action, actor, targetType, targetId, from, to };
+
+    if (format === 'csv') {
+      const csv = await AuditService.exportCSV(filters);
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.csv"`);
+      return res.send(csv);
+    }
+
+    const entries = await AuditService.getEntries(filters, {
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: entries.docs,
+      pagination: {
+        page: entries.page,
+        limit: entries.limit,
+        totalPages: entries.totalPages,
+        totalDocs: entries.totalDocs,
+        hasNextPage: entries.page < entries.totalPages,
+        hasPrevPage: entries.page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch audit log',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
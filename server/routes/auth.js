@@ -0,0 +1,89 @@
+const express = require('express');
+const router = express.Router();
+
+// Import services
+const AuthService = require('../services/AuthService');
+const { authenticate } = require('../middleware/auth');
+
+// Bad credentials and tokens are 401, anything else is a server error
+const errorStatus = (error) => (error.code === 'UNAUTHORIZED' ? 401 : 500);
+
+// POST /api/auth/login - Log in with username and password
+router.post('/login', async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    if (typeof username !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Login failed',
+        message: 'username and password must be strings'
+      });
+    }
+
+    const { user, accessToken, refreshToken } = await AuthService.login(username, password);
+
+    res.json({
+      success: true,
+      data: { user, accessToken, refreshToken }
+    });
+  } catch (error) {
+    if (error.code !== 'UNAUTHORIZED') {
+      console.error('Error logging in:', error);
+    }
+    res.status(errorStatus(error)).json({
+      success: false,
+      error: 'Login failed',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/auth/refresh - Exchange a refresh token for new tokens
+router.post('/refresh', async (req, res) => {
+  try {
+    const { user, accessToken, refreshToken } = await AuthService.refresh(req.body.refreshToken);
+
+    res.json({
+      success: true,
+      data: { user, accessToken, refreshToken }
+    });
+  } catch (error) {
+    if (error.code !== 'UNAUTHORIZED') {
+      console.error('Error refreshing session:', error);
+    }
+    res.status(errorStatus(error)).json({
+      success: false,
+      error: 'Failed to refresh session',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/auth/logout - End the session of a refresh token
+router.post('/logout', async (req, res) => {
+  try {
+    await AuthService.logout(req.body.refreshToken);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to log out',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/auth/me - Get the signed-in user
+router.get('/me', authenticate, (req, res) => {
+  res.json({
+    success: true,
+    data: req.user
+  });
+});
+
+module.exports = router;
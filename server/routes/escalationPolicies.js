@@ -0,0 +1,150 @@
+const express = require('express');
+const router = express.Router();
+
+// Import models
+const EscalationPolicy = require('../models/EscalationPolicy');
+
+// GET /api/escalation-policies - Get all escalation policies
+router.get('/', async (req, res) => {
+  try {
+    const { enabled, streamId } = req.query;
+
+    let query = {};
+
+    if (enabled !== undefined) {
+      query.enabled = enabled === 'true';
+    }
+
+    // Policies scoped to the stream plus policies for all streams
+    if (streamId) {
+      query.$or = [
+        { streamIds: streamId },
+        { streamIds: { $size: 0 } }
+      ];
+    }
+
+    const policies = await EscalationPolicy.find(query)
+      .sort({ name: 1 })
+      .populate('streamIds', 'name status')
+      .populate('tiers.channelIds', 'name type enabled');
+
+    res.json({
+      success: true,
+      data: policies
+    });
+  } catch (error) {
+    console.error('Error fetching escalation policies:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch escalation policies',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/escalation-policies/:id - Get escalation policy by ID
+router.get('/:id', async (req, res) => {
+  try {
+    const policy = await EscalationPolicy.findById(req.params.id)
+      .populate('streamIds', 'name status')
+      .populate('tiers.channelIds', 'name type enabled');
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        error: 'Escalation policy not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: policy
+    });
+  } catch (error) {
+    console.error('Error fetching escalation policy:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch escalation policy',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/escalation-policies - Create escalation policy
+router.post('/', async (req, res) => {
+  try {
+    const policy = new EscalationPolicy(req.body);
+    await policy.save();
+
+    res.status(201).json({
+      success: true,
+      data: policy,
+      message: 'Escalation policy created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating escalation policy:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: 'Failed to create escalation policy',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/escalation-policies/:id - Update escalation policy
+router.put('/:id', async (req, res) => {
+  try {
+    const policy = await EscalationPolicy.findById(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        error: 'Escalation policy not found'
+      });
+    }
+
+    policy.set(req.body);
+    await policy.save();
+
+    res.json({
+      success: true,
+      data: policy,
+      message: 'Escalation policy updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating escalation policy:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: 'Failed to update escalation policy',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/escalation-policies/:id - Delete escalation policy
+router.delete('/:id', async (req, res) => {
+  try {
+    const policy = await EscalationPolicy.findByIdAndDelete(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        error: 'Escalation policy not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Escalation policy deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting escalation policy:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete escalation policy',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
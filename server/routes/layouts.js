@@ -0,0 +1,151 @@
+const express = require('express');
+const router = express.Router();
+
+// Import models
+const WallLayout = require('../models/WallLayout');
+
+// Layouts belong to the signed-in user
+const ownerOf = (req) => req.user.id;
+
+// Validation failures are the client's fault, a duplicate name is a conflict
+const errorStatus = (error) => {
+  if (error.name === 'ValidationError') return 400;
+  if (error.code === 11000) return 409;
+  return 500;
+};
+
+// GET /api/layouts - Get the user's video wall layouts
+router.get('/', async (req, res) => {
+  try {
+    const layouts = await WallLayout.getLayoutsByOwner(ownerOf(req));
+
+    res.json({
+      success: true,
+      data: layouts
+    });
+  } catch (error) {
+    console.error('Error fetching layouts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch layouts',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/layouts/:id - Get layout by ID
+router.get('/:id', async (req, res) => {
+  try {
+    const layout = await WallLayout.findOne({ _id: req.params.id, owner: ownerOf(req) })
+      .populate('tiles.streamId', 'name status');
+
+    if (!layout) {
+      return res.status(404).json({
+        success: false,
+        error: 'Layout not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: layout
+    });
+  } catch (error) {
+    console.error('Error fetching layout:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch layout',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/layouts - Create layout
+router.post('/', async (req, res) => {
+  try {
+    const { name, rows, columns, tiles, isDefault } = req.body;
+    const layout = new WallLayout({ name, rows, columns, tiles, isDefault, owner: ownerOf(req) });
+    await layout.save();
+
+    if (layout.isDefault) {
+      await WallLayout.clearOtherDefaults(layout);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: layout,
+      message: 'Layout created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating layout:', error);
+    res.status(errorStatus(error)).json({
+      success: false,
+      error: 'Failed to create layout',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/layouts/:id - Update layout
+router.put('/:id', async (req, res) => {
+  try {
+    const layout = await WallLayout.findOne({ _id: req.params.id, owner: ownerOf(req) });
+
+    if (!layout) {
+      return res.status(404).json({
+        success: false,
+        error: 'Layout not found'
+      });
+    }
+
+    ['name', 'rows', 'columns', 'tiles', 'isDefault'].forEach(field => {
+      if (req.body[field] !== undefined) layout.set(field, req.body[field]);
+    });
+    await layout.save();
+
+    if (layout.isDefault) {
+      await WallLayout.clearOtherDefaults(layout);
+    }
+
+    res.json({
+      success: true,
+      data: layout,
+      message: 'Layout updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating layout:', error);
+    res.status(errorStatus(error)).json({
+      success: false,
+      error: 'Failed to update layout',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/layouts/:id - Delete layout
+router.delete('/:id', async (req, res) => {
+  try {
+    const layout = await WallLayout.findOneAndDelete({ _id: req.params.id, owner: ownerOf(req) });
+
+    if (!layout) {
+      return res.status(404).json({
+        success: false,
+        error: 'Layout not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Layout deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting layout:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete layout',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
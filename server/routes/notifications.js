@@ -0,0 +1,210 @@
+const express = require('express');
+const router = express.Router();
+
+// Import models and services
+const NotificationChannel = require('../models/NotificationChannel');
+const NotificationLog = require('../models/NotificationLog');
+const NotificationService = require('../services/NotificationService');
+
+// A masked password or header value sent back by the API means "keep the stored one"
+const MASKED_VALUE = '********';
+
+// GET /api/notifications/channels - Get all notification channels
+router.get('/channels', async (req, res) => {
+  try {
+    const { type, enabled } = req.query;
+
+    let query = {};
+    if (type) query.type = type;
+    if (enabled !== undefined) query.enabled = enabled === 'true';
+
+    const channels = await NotificationChannel.find(query).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: channels
+    });
+  } catch (error) {
+    console.error('Error fetching notification channels:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch notification channels',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/notifications/channels/:id - Get notification channel by ID
+router.get('/channels/:id', async (req, res) => {
+  try {
+    const channel = await NotificationChannel.findById(req.params.id);
+
+    if (!channel) {
+      return res.status(404).json({
+        success: false,
+        error: 'Notification channel not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: channel
+    });
+  } catch (error) {
+    console.error('Error fetching notification channel:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch notification channel',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/notifications/channels - Create notification channel
+router.post('/channels', async (req, res) => {
+  try {
+    const channel = new NotificationChannel(req.body);
+    await channel.save();
+
+    res.status(201).json({
+      success: true,
+      data: channel,
+      message: 'Notification channel created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating notification channel:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: 'Failed to create notification channel',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/notifications/channels/:id - Update notification channel
+router.put('/channels/:id', async (req, res) => {
+  try {
+    const channel = await NotificationChannel.findById(req.params.id);
+
+    if (!channel) {
+      return res.status(404).json({
+        success: false,
+        error: 'Notification channel not found'
+      });
+    }
+
+    const fields = { ...req.body };
+    if (fields.config && fields.config.password === MASKED_VALUE) {
+      fields.config = { ...fields.config, password: channel.config.password };
+    }
+    if (fields.config && fields.config.headers) {
+      const storedHeaders = (channel.config && channel.config.headers) || {};
+      const headers = { ...fields.config.headers };
+      Object.keys(headers).forEach(name => {
+        if (headers[name] === MASKED_VALUE) headers[name] = storedHeaders[name];
+      });
+      fields.config = { ...fields.config, headers };
+    }
+
+    channel.set(fields);
+    await channel.save();
+
+    res.json({
+      success: true,
+      data: channel,
+      message: 'Notification channel updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating notification channel:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: 'Failed to update notification channel',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/notifications/channels/:id - Delete notification channel
+router.delete('/channels/:id', async (req, res) => {
+  try {
+    const channel = await NotificationChannel.findByIdAndDelete(req.params.id);
+
+    if (!channel) {
+      return res.status(404).json({
+        success: false,
+        error: 'Notification channel not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification channel deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting notification channel:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete notification channel',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/notifications/channels/:id/test - Send a test notification
+router.post('/channels/:id/test', async (req, res) => {
+  try {
+    const channel = await NotificationChannel.findById(req.params.id);
+
+    if (!channel) {
+      return res.status(404).json({
+        success: false,
+        error: 'Notification channel not found'
+      });
+    }
+
+    const log = await NotificationService.testChannel(channel);
+
+    res.status(log.status === 'sent' ? 200 : 502).json({
+      success: log.status === 'sent',
+      data: log
+    });
+  } catch (error) {
+    console.error('Error testing notification channel:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to test notification channel',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/notifications/logs - Get the delivery log
+router.get('/logs', async (req, res) => {
+  try {
+    const { channelId, alertId, status, limit = 100 } = req.query;
+
+    let query = {};
+    if (channelId) query.channelId = channelId;
+    if (alertId) query.alertId = alertId;
+    if (status) query.status = status;
+
+    const logs = await NotificationLog.find(query)
+      .sort({ timestamp: -1 })
+      .limit(parseInt(limit))
+      .populate('channelId', 'name type');
+
+    res.json({
+      success: true,
+      data: logs
+    });
+  } catch (error) {
+    console.error('Error fetching notification logs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch notification logs',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
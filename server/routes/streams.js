@@ -7,7 +7,15 @@ const router = express.Router();
 
 // Import models and services
 const Stream = require('../models/Stream');
+const Recording = require('../models/Recording');
+const Snapshot = require('../models/Snapshot');
 const StreamService = require('../services/StreamService');
+const RecordingService = require('../services/RecordingService');
+const LiveService = require('../services/LiveService');
+const AccessService = require('../services/AccessService');
+const AuditService = require('../services/AuditService');
+const { requireRole, requireStreamAccess } = require('../middleware/auth');
+const { UPLOADS_ROOT } = require('../utils/uploads');
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -42,6 +50,18 @@ const upload = multer({
   }
 });
 
+// A stopped stream is a conflict with its current state, an unsupported source a bad request
+const errorStatus = (error) => {
+  switch (error.code) {
+    case 'UNSUPPORTED_SOURCE':
+      return 400;
+    case 'STREAM_NOT_ACTIVE':
+      return 409;
+    default:
+      return 500;
+  }
+};
+
 // GET /api/streams - Get all streams
 router.get('/', async (req, res) => {
   try {
@@ -66,6 +86,9 @@ router.get('/', async (req, res) => {
         { description: { $regex: search, $options: 'i' } }
       ];
     }
+
+    // Only the streams granted to the user
+    query.$and = [await AccessService.streamScope(req.user, { field: '_id' })];
     
     const options = {
       page: parseInt(page),
@@ -97,8 +120,30 @@ router.get('/', async (req, res) => {
   }
 });
 
+// GET /api/streams/statistics/overview - Get overall statistics
+// (registered before /:id, which would otherwise match "statistics")
+router.get('/statistics/overview', async (req, res) => {
+  try {
+    const statistics = await Stream.getStreamStatistics(
+      await AccessService.streamScope(req.user, { field: '_id' })
+    );
+    
+    res.json({
+      success: true,
+      data: statistics
+    });
+  } catch (error) {
+    console.error('Error fetching overview statistics:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch overview statistics',
+      message: error.message
+    });
+  }
+});
+
 // GET /api/streams/:id - Get stream by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', requireStreamAccess(), async (req, res) => {
   try {
     const stream = await Stream.findById(req.params.id);
     
@@ -124,7 +169,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // POST /api/streams - Create new stream
-router.post('/', async (req, res) => {
+router.post('/', requireRole('admin'), async (req, res) => {
   try {
     const {
       name,
@@ -154,6 +199,7 @@ router.post('/', async (req, res) => {
     });
     
     await stream.save();
+    await AuditService.record({ req, action: 'stream.create', targetType: 'stream', after: stream });
     
     // Initialize stream processing
     await StreamService.initializeStream(stream._id);
@@ -165,7 +211,7 @@ router.post('/', async (req, res) => {
     });
   } catch (error) {
     console.error('Error creating stream:', error);
-    res.status(500).json({
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
       success: false,
       error: 'Failed to create stream',
       message: error.message
@@ -174,7 +220,7 @@ router.post('/', async (req, res) => {
 });
 
 // PUT /api/streams/:id - Update stream
-router.put('/:id', async (req, res) => {
+router.put('/:id', requireRole('admin'), async (req, res) => {
   try {
     const stream = await Stream.findById(req.params.id);
     
@@ -185,15 +231,27 @@ router.put('/:id', async (req, res) => {
       });
     }
     
+    const before = stream.toJSON();
+    
     // Update fields
-    const updateFields = ['name', 'description', 'source', 'aiModels', 'settings', 'metadata'];
+    const updateFields = ['name', 'description', 'aiModels', 'settings', 'metadata'];
     updateFields.forEach(field => {
       if (req.body[field] !== undefined) {
         stream[field] = req.body[field];
       }
     });
+    // Credentials are masked in the before/after snapshots, so note when they change
+    const credentialsChanged = req.body.source !== undefined && stream.setSource(req.body.source);
     
     await stream.save();
+    await AuditService.record({
+      req,
+      action: 'stream.update',
+      targetType: 'stream',
+      before,
+      after: stream,
+      details: credentialsChanged ? { credentialsChanged } : undefined
+    });
     
     // Update stream processing if needed
     await StreamService.updateStream(stream._id);
@@ -205,7 +263,7 @@ router.put('/:id', async (req, res) => {
     });
   } catch (error) {
     console.error('Error updating stream:', error);
-    res.status(500).json({
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
       success: false,
       error: 'Failed to update stream',
       message: error.message
@@ -214,7 +272,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // DELETE /api/streams/:id - Delete stream
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireRole('admin'), async (req, res) => {
   try {
     const stream = await Stream.findById(req.params.id);
     
@@ -230,6 +288,7 @@ router.delete('/:id', async (req, res) => {
     
     // Delete stream
     await Stream.findByIdAndDelete(req.params.id);
+    await AuditService.record({ req, action: 'stream.delete', targetType: 'stream', before: stream });
     
     res.json({
       success: true,
@@ -246,7 +305,7 @@ router.delete('/:id', async (req, res) => {
 });
 
 // POST /api/streams/:id/start - Start stream
-router.post('/:id/start', async (req, res) => {
+router.post('/:id/start', requireRole('operator'), requireStreamAccess(), async (req, res) => {
   try {
     const stream = await Stream.findById(req.params.id);
     
@@ -258,6 +317,13 @@ router.post('/:id/start', async (req, res) => {
     }
     
     await StreamService.startStream(stream._id);
+    await AuditService.record({
+      req,
+      action: 'stream.start',
+      targetType: 'stream',
+      before: stream,
+      after: await Stream.findById(stream._id)
+    });
     
     res.json({
       success: true,
@@ -274,7 +340,7 @@ router.post('/:id/start', async (req, res) => {
 });
 
 // POST /api/streams/:id/stop - Stop stream
-router.post('/:id/stop', async (req, res) => {
+router.post('/:id/stop', requireRole('operator'), requireStreamAccess(), async (req, res) => {
   try {
     const stream = await Stream.findById(req.params.id);
     
@@ -286,6 +352,13 @@ router.post('/:id/stop', async (req, res) => {
     }
     
     await StreamService.stopStream(stream._id);
+    await AuditService.record({
+      req,
+      action: 'stream.stop',
+      targetType: 'stream',
+      before: stream,
+      after: await Stream.findById(stream._id)
+    });
     
     res.json({
       success: true,
@@ -302,7 +375,7 @@ router.post('/:id/stop', async (req, res) => {
 });
 
 // POST /api/streams/:id/restart - Restart stream
-router.post('/:id/restart', async (req, res) => {
+router.post('/:id/restart', requireRole('operator'), requireStreamAccess(), async (req, res) => {
   try {
     const stream = await Stream.findById(req.params.id);
     
@@ -314,6 +387,13 @@ router.post('/:id/restart', async (req, res) => {
     }
     
     await StreamService.restartStream(stream._id);
+    await AuditService.record({
+      req,
+      action: 'stream.restart',
+      targetType: 'stream',
+      before: stream,
+      after: await Stream.findById(stream._id)
+    });
     
     res.json({
       success: true,
@@ -329,8 +409,52 @@ router.post('/:id/restart', async (req, res) => {
   }
 });
 
+// POST /api/streams/:id/seek - Seek a file stream to a position in seconds
+router.post('/:id/seek', requireRole('operator'), requireStreamAccess(), async (req, res) => {
+  try {
+    const position = parseFloat(req.body.position);
+
+    if (isNaN(position) || position < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'position must be a non-negative number of seconds'
+      });
+    }
+
+    const stream = await Stream.findById(req.params.id);
+
+    if (!stream) {
+      return res.status(404).json({
+        success: false,
+        error: 'Stream not found'
+      });
+    }
+
+    if (stream.source.type !== 'file') {
+      return res.status(400).json({
+        success: false,
+        error: 'Seeking is only supported for file sources'
+      });
+    }
+
+    await StreamService.seekStream(stream._id, position);
+
+    res.json({
+      success: true,
+      message: `Stream seeked to ${position}s`
+    });
+  } catch (error) {
+    console.error('Error seeking stream:', error);
+    res.status(errorStatus(error)).json({
+      success: false,
+      error: 'Failed to seek stream',
+      message: error.message
+    });
+  }
+});
+
 // POST /api/streams/upload - Upload video file
-router.post('/upload', upload.single('video'), async (req, res) => {
+router.post('/upload', requireRole('admin'), upload.single('video'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -355,6 +479,7 @@ router.post('/upload', upload.single('video'), async (req, res) => {
     });
     
     await stream.save();
+    await AuditService.record({ req, action: 'stream.create', targetType: 'stream', after: stream });
     
     // Initialize stream processing
     await StreamService.initializeStream(stream._id);
@@ -375,7 +500,7 @@ router.post('/upload', upload.single('video'), async (req, res) => {
 });
 
 // GET /api/streams/:id/statistics - Get stream statistics
-router.get('/:id/statistics', async (req, res) => {
+router.get('/:id/statistics', requireStreamAccess(), async (req, res) => {
   try {
     const stream = await Stream.findById(req.params.id);
     
@@ -403,7 +528,7 @@ router.get('/:id/statistics', async (req, res) => {
 });
 
 // POST /api/streams/:id/reset-statistics - Reset stream statistics
-router.post('/:id/reset-statistics', async (req, res) => {
+router.post('/:id/reset-statistics', requireRole('operator'), requireStreamAccess(), async (req, res) => {
   try {
     const stream = await Stream.findById(req.params.id);
     
@@ -414,7 +539,9 @@ router.post('/:id/reset-statistics', async (req, res) => {
       });
     }
     
+    const before = stream.toJSON();
     await stream.resetStatistics();
+    await AuditService.record({ req, action: 'stream.reset-statistics', targetType: 'stream', before, after: stream });
     
     res.json({
       success: true,
@@ -430,20 +557,315 @@ router.post('/:id/reset-statistics', async (req, res) => {
   }
 });
 
-// GET /api/streams/statistics/overview - Get overall statistics
-router.get('/statistics/overview', async (req, res) => {
+// Parse optional from/to query parameters into dates
+const parseTimeRange = (query) => {
+  const from = query.from ? new Date(query.from) : null;
+  const to = query.to ? new Date(query.to) : null;
+
+  if ((from && isNaN(from)) || (to && isNaN(to))) {
+    return { error: 'from and to must be valid dates' };
+  }
+  if (from && to && from >= to) {
+    return { error: 'from must be before to' };
+  }
+
+  return { from, to };
+};
+
+// GET /api/streams/:id/recordings - List recorded segments in a time range
+router.get('/:id/recordings', requireStreamAccess(), async (req, res) => {
   try {
-    const statistics = await Stream.getStreamStatistics();
-    
+    const { from, to, error } = parseTimeRange(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const stream = await Stream.findById(req.params.id);
+
+    if (!stream) {
+      return res.status(404).json({
+        success: false,
+        error: 'Stream not found'
+      });
+    }
+
+    let query = Recording.getRecordingsByTimeRange(stream._id, from, to);
+    if (req.query.type) {
+      query = query.where({ type: req.query.type });
+    }
+
+    const recordings = await query;
+
     res.json({
       success: true,
-      data: statistics
+      data: recordings.map(recording => ({
+        ...recording.toObject(),
+        url: `/api/streams/${stream._id}/recordings/${recording._id}/stream`
+      }))
     });
   } catch (error) {
-    console.error('Error fetching overview statistics:', error);
+    console.error('Error fetching recordings:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch overview statistics',
+      error: 'Failed to fetch recordings',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/streams/:id/recordings/export - Download footage between two timestamps as one clip
+router.get('/:id/recordings/export', requireStreamAccess(), async (req, res) => {
+  try {
+    const { from, to, error } = parseTimeRange(req.query);
+    if (error || !from || !to) {
+      return res.status(400).json({
+        success: false,
+        error: error || 'from and to are required'
+      });
+    }
+
+    const stream = await Stream.findById(req.params.id);
+
+    if (!stream) {
+      return res.status(404).json({
+        success: false,
+        error: 'Stream not found'
+      });
+    }
+
+    const hasFootage = await Recording.exists({
+      streamId: stream._id,
+      status: 'completed',
+      startTime: { $lt: to },
+      endTime: { $gt: from }
+    });
+
+    if (!hasFootage) {
+      return res.status(404).json({
+        success: false,
+        error: 'No recordings found in the requested time range'
+      });
+    }
+
+    const clip = await RecordingService.exportClip(stream._id, from, to);
+
+    // Exports are generated per request and removed once sent
+    res.download(clip.filePath, clip.fileName, () => {
+      fs.promises.rm(clip.filePath, { force: true }).catch(() => {});
+    });
+  } catch (error) {
+    console.error('Error exporting recording:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export recording',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/streams/:id/recordings/:recordingId/stream - Stream a segment (supports Range requests)
+router.get('/:id/recordings/:recordingId/stream', requireStreamAccess(), async (req, res) => {
+  try {
+    const recording = await Recording.findOne({
+      _id: req.params.recordingId,
+      streamId: req.params.id
+    });
+
+    if (!recording) {
+      return res.status(404).json({
+        success: false,
+        error: 'Recording not found'
+      });
+    }
+
+    const filePath = RecordingService.getRecordingPath(recording);
+
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Recording file is missing'
+      });
+    }
+
+    // sendFile answers Range requests with 206 Partial Content for seeking
+    res.sendFile(filePath, {
+      headers: {
+        'Content-Type': recording.format === 'ts' ? 'video/mp2t' : 'video/mp4'
+      }
+    });
+  } catch (error) {
+    console.error('Error streaming recording:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to stream recording',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/streams/:id/live/:file - Serve the live HLS playlist and its segments
+router.get('/:id/live/:file', requireStreamAccess(), async (req, res) => {
+  try {
+    const stream = await Stream.findById(req.params.id);
+
+    if (!stream) {
+      return res.status(404).json({
+        success: false,
+        error: 'Stream not found'
+      });
+    }
+
+    const filePath = LiveService.getLiveFilePath(stream._id, req.params.file);
+
+    if (!filePath) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid live file name'
+      });
+    }
+
+    if (!LiveService.isLive(stream._id) || !fs.existsSync(filePath)) {
+      // The first segments take a few seconds to appear after a stream starts
+      res.set('Retry-After', '2');
+      return res.status(404).json({
+        success: false,
+        error: 'Live view is not available'
+      });
+    }
+
+    const isPlaylist = req.params.file.endsWith('.m3u8');
+
+    res.sendFile(filePath, {
+      headers: {
+        'Content-Type': isPlaylist ? 'application/vnd.apple.mpegurl' : 'video/mp2t',
+        // The playlist changes every segment, segments never change
+        'Cache-Control': isPlaylist ? 'no-cache, no-store' : 'public, max-age=60'
+      }
+    });
+  } catch (error) {
+    console.error('Error serving live stream:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to serve live stream',
+      message: error.message
+    });
+  }
+});
+
+// Send a snapshot image, refusing paths outside uploads/images
+const sendSnapshotFile = (res, snapshot) => {
+  const imagesRoot = path.join(UPLOADS_ROOT, 'images');
+  const filePath = path.resolve(UPLOADS_ROOT, snapshot.filePath);
+
+  if (!filePath.startsWith(imagesRoot + path.sep) || !fs.existsSync(filePath)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Snapshot file is missing'
+    });
+  }
+
+  res.sendFile(filePath, {
+    headers: {
+      'Content-Type': 'image/jpeg'
+    }
+  });
+};
+
+// GET /api/streams/:id/snapshot - Latest snapshot image
+router.get('/:id/snapshot', requireStreamAccess(), async (req, res) => {
+  try {
+    const snapshot = await Snapshot.getLatestSnapshot(req.params.id);
+
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        error: 'No snapshot available'
+      });
+    }
+
+    // Thumbnails poll this URL, so never serve a cached image
+    res.set('Cache-Control', 'no-cache, no-store');
+    sendSnapshotFile(res, snapshot);
+  } catch (error) {
+    console.error('Error fetching snapshot:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch snapshot',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/streams/:id/snapshots - List snapshots in a time range
+router.get('/:id/snapshots', requireStreamAccess(), async (req, res) => {
+  try {
+    const { from, to, error } = parseTimeRange(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const stream = await Stream.findById(req.params.id);
+
+    if (!stream) {
+      return res.status(404).json({
+        success: false,
+        error: 'Stream not found'
+      });
+    }
+
+    const { limit = 100, trigger } = req.query;
+
+    let query = Snapshot.getSnapshotsByTimeRange(stream._id, from, to, parseInt(limit));
+    if (trigger) {
+      query = query.where({ trigger });
+    }
+
+    const snapshots = await query;
+
+    res.json({
+      success: true,
+      data: snapshots.map(snapshot => ({
+        ...snapshot.toObject(),
+        url: `/api/streams/${stream._id}/snapshots/${snapshot._id}/image`
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching snapshots:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch snapshots',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/streams/:id/snapshots/:snapshotId/image - Snapshot image
+router.get('/:id/snapshots/:snapshotId/image', requireStreamAccess(), async (req, res) => {
+  try {
+    const snapshot = await Snapshot.findOne({
+      _id: req.params.snapshotId,
+      streamId: req.params.id
+    });
+
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        error: 'Snapshot not found'
+      });
+    }
+
+    sendSnapshotFile(res, snapshot);
+  } catch (error) {
+    console.error('Error fetching snapshot image:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch snapshot image',
       message: error.message
     });
   }
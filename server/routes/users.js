@@ -0,0 +1,198 @@
+const express = require('express');
+const router = express.Router();
+
+// Import models and services
+const User = require('../models/User');
+const AuditService = require('../services/AuditService');
+const { disconnectUser } = require('../config/socket');
+
+// Fields an admin can set directly; passwords are hashed separately
+const EDITABLE_FIELDS = ['displayName', 'email', 'role', 'streamIds', 'sites', 'active'];
+
+// Validation failures are the client's fault, a duplicate username is a conflict
+const errorStatus = (error) => {
+  if (error.name === 'ValidationError' || error.name === 'CastError') return 400;
+  if (error.code === 11000) return 409;
+  return 500;
+};
+
+const isSelf = (req) => req.params.id === req.user.id;
+
+// GET /api/users - Get all users
+router.get('/', async (req, res) => {
+  try {
+    const { role, active } = req.query;
+    const query = {};
+    if (role) query.role = role;
+    if (active !== undefined) query.active = active === 'true';
+
+    const users = await User.find(query).sort({ username: 1 });
+
+    res.json({
+      success: true,
+      data: users
+    });
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch users',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/users/:id - Get user by ID
+router.get('/:id', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+      .populate('streamIds', 'name status');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    console.error('Error fetching user:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch user',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/users - Create user
+router.post('/', async (req, res) => {
+  try {
+    const user = new User({ username: req.body.username });
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) user.set(field, req.body[field]);
+    });
+    await user.setPassword(req.body.password);
+    await user.save();
+    await AuditService.record({ req, action: 'user.create', targetType: 'user', after: user });
+
+    res.status(201).json({
+      success: true,
+      data: user,
+      message: 'User created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating user:', error);
+    res.status(errorStatus(error)).json({
+      success: false,
+      error: 'Failed to create user',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/users/:id - Update user
+router.put('/:id', async (req, res) => {
+  try {
+    // Admins cannot lock themselves out
+    if (isSelf(req) && ((req.body.role && req.body.role !== 'admin') || req.body.active === false)) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot demote or deactivate your own account'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const before = user.toJSON();
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) user.set(field, req.body[field]);
+    });
+    if (req.body.password !== undefined) {
+      await user.setPassword(req.body.password);
+    }
+
+    // A new role, password or deactivation ends the user's sessions
+    const endSessions = user.isModified('role') || user.isModified('passwordHash') || user.isModified('active');
+    if (endSessions) {
+      user.set('sessions', []);
+    }
+    // Open sockets were scoped with the old grants
+    const rescope = endSessions || user.isModified('streamIds') || user.isModified('sites');
+    await user.save();
+    if (rescope) {
+      disconnectUser(user.id);
+    }
+    await AuditService.record({
+      req,
+      action: 'user.update',
+      targetType: 'user',
+      before,
+      after: user,
+      // The hash is never recorded, only that it changed
+      details: req.body.password !== undefined ? { passwordChanged: true } : undefined
+    });
+
+    res.json({
+      success: true,
+      data: user,
+      message: 'User updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating user:', error);
+    res.status(errorStatus(error)).json({
+      success: false,
+      error: 'Failed to update user',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/users/:id - Delete user
+router.delete('/:id', async (req, res) => {
+  try {
+    if (isSelf(req)) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot delete your own account'
+      });
+    }
+
+    const user = await User.findByIdAndDelete(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    disconnectUser(user.id);
+    await AuditService.record({ req, action: 'user.delete', targetType: 'user', before: user });
+
+    res.json({
+      success: true,
+      message: 'User deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting user:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete user',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Import models and helpers
+const Stream = require('../models/Stream');
+const { reencryptSecret } = require('../utils/secrets');
+
+// Re-encrypt every stream's credentials with CREDENTIALS_ENCRYPTION_KEY.
+// Secrets under an old key are read with CREDENTIALS_ENCRYPTION_KEY_PREVIOUS,
+// and credentials stored before encryption was enabled are encrypted too.
+async function rotateCredentialsKey() {
+  let failed = 0;
+
+  try {
+    if (!process.env.CREDENTIALS_ENCRYPTION_KEY) {
+      throw new Error('Set CREDENTIALS_ENCRYPTION_KEY to the new key first');
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/vms', {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('✅ Connected to MongoDB');
+
+    const streams = Stream.find({ 'source.credentials': { $exists: true } })
+      .select('name source.credentials')
+      .lean()
+      .cursor();
+    let updated = 0;
+
+    for await (const stream of streams) {
+      try {
+        const credentials = stream.source.credentials || {};
+        const changes = {};
+        ['username', 'password'].forEach(field => {
+          const value = reencryptSecret(credentials[field]);
+          if (value) changes[`source.credentials.${field}`] = value;
+        });
+
+        if (Object.keys(changes).length > 0) {
+          // Raw update, so the schema setters do not see the already encrypted values
+          await Stream.collection.updateOne({ _id: stream._id }, { $set: changes });
+          updated++;
+        }
+      } catch (error) {
+        failed++;
+        console.error(`❌ Could not re-encrypt credentials of stream ${stream.name} (${stream._id}):`, error.message);
+      }
+    }
+
+    console.log(`🔐 Re-encrypted credentials of ${updated} streams`);
+    if (failed > 0) {
+      console.log(`⚠️ ${failed} streams failed; keep their old key in CREDENTIALS_ENCRYPTION_KEY_PREVIOUS and run again`);
+    }
+  } catch (error) {
+    console.error('❌ Key rotation failed:', error);
+    failed++;
+  } finally {
+    await mongoose.disconnect();
+  }
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+// Run rotation if this file is executed directly
+if (require.main === module) {
+  rotateCredentialsKey();
+}
+
+module.exports = { rotateCredentialsKey };
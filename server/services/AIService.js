@@ -1,30 +1,298 @@
 const AIModel = require('../models/AIModel');
+const AIJob = require('../models/AIJob');
+const Result = require('../models/Result');
+const StreamService = require('./StreamService');
+const { emitToStream } = require('../config/socket');
+const { getBackendName } = require('../ai/adapters');
 
-exports.getAllModels = async (req, res) => {
-  try {
-    const models = await AIModel.find();
-    res.json(models);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-};
-
-exports.createModel = async (req, res) => {
-  try {
-    const model = new AIModel(req.body);
-    await model.save();
-    res.status(201).json(model);
-  } catch (err) {
-    res.status(400).json({ error: err.message });
-  }
-};
-
-exports.getModelsByStream = async (req, res) => {
-  try {
-    const { streamId } = req.params;
-    const models = await AIModel.find({ streamId });
-    res.json(models);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-};
\ No newline at end of file
+const AI_QUEUE_SIZE = parseInt(process.env.AI_QUEUE_SIZE, 10) || 100;
+const AI_PROCESSING_TIMEOUT = parseInt(process.env.AI_PROCESSING_TIMEOUT, 10) || 30000;
+const BATCH_PROCESSING_SIZE = parseInt(process.env.BATCH_PROCESSING_SIZE, 10) || 5;
+
+// Model types the worker can run without any configuration in the database
+const BUILTIN_MODELS = [
+  { modelType: 'object-detection', confidence: 0.7, parameters: {} },
+  { modelType: 'defect-analysis', confidence: 0.7, parameters: {} },
+  { modelType: 'face-recognition', confidence: 0.8, parameters: {} },
+  { modelType: 'motion-detection', confidence: 0.5, parameters: { sensitivity: 0.5, minArea: 100 } }
+];
+
+class AIService {
+  constructor() {
+    this.registry = new Map();
+    this.isProcessing = false;
+    this.isInitialized = false;
+  }
+
+  async initialize() {
+    try {
+      console.log('🔄 Initializing AI Service...');
+
+      await this.refreshRegistry();
+
+      // Jobs interrupted by a restart go back to the queue and resume where they stopped
+      const interrupted = await AIJob.updateMany({ status: 'processing' }, { status: 'queued' });
+      if (interrupted.modifiedCount > 0) {
+        console.log(`🔁 Requeued ${interrupted.modifiedCount} interrupted AI jobs`);
+      }
+
+      this.isInitialized = true;
+      console.log(`✅ AI Service initialized with ${this.registry.size} models`);
+
+      setImmediate(() => this.processQueuedStreams());
+    } catch (error) {
+      console.error('❌ AI Service initialization failed:', error);
+      throw error;
+    }
+  }
+
+  // Built-in defaults overlaid with the global models stored in the AIModel collection
+  async refreshRegistry() {
+    const registry = new Map();
+
+    for (const model of BUILTIN_MODELS) {
+      registry.set(model.modelType, { ...model, isActive: true, source: 'builtin' });
+    }
+
+    const models = await AIModel.find({ streamId: null });
+    for (const model of models) {
+      registry.set(model.modelType, {
+        id: model._id,
+        modelType: model.modelType,
+        confidence: model.confidence,
+        parameters: model.parameters || {},
+        isActive: model.isActive,
+        source: 'database'
+      });
+    }
+
+    this.registry = registry;
+    return registry;
+  }
+
+  async getAvailableModels() {
+    if (!this.isInitialized) {
+      await this.refreshRegistry();
+    }
+
+    return [...this.registry.values()].map(model => ({
+      ...model,
+      backend: getBackendName(model)
+    }));
+  }
+
+  // Stream-specific configuration wins over the registry entry
+  async resolveModel(streamId, modelType) {
+    const streamModel = await AIModel.findOne({ streamId, modelType });
+    if (streamModel) {
+      return {
+        modelType,
+        confidence: streamModel.confidence,
+        parameters: streamModel.parameters || {},
+        isActive: streamModel.isActive
+      };
+    }
+
+    if (!this.registry.has(modelType)) {
+      await this.refreshRegistry();
+    }
+    return this.registry.get(modelType);
+  }
+
+  async processStream(streamId, modelType, parameters) {
+    return this.createJob('single', [streamId], modelType, parameters);
+  }
+
+  async batchProcessStreams(streamIds, modelType, parameters) {
+    return this.createJob('batch', streamIds, modelType, parameters);
+  }
+
+  // Persist a job and return it straight away, the queue runs it in the background
+  async createJob(type, streamIds, modelType, parameters) {
+    // Accept all of a batch or none of it
+    await this.ensureCapacity(streamIds.length);
+
+    const model = await this.resolveModel(streamIds[0], modelType);
+    if (!model) {
+      const error = new Error(`Unknown AI model: ${modelType}`);
+      error.code = 'UNKNOWN_MODEL';
+      throw error;
+    }
+
+    const job = await AIJob.create({
+      type,
+      streamIds,
+      modelType,
+      parameters: parameters || {},
+      progress: { total: streamIds.length }
+    });
+
+    setImmediate(() => this.processQueuedStreams());
+    return job;
+  }
+
+  async ensureCapacity(count) {
+    const pending = await AIJob.countPendingTasks();
+    if (pending + count > AI_QUEUE_SIZE) {
+      const error = new Error(`AI queue is full (${pending}/${AI_QUEUE_SIZE} jobs waiting)`);
+      error.code = 'QUEUE_FULL';
+      throw error;
+    }
+  }
+
+  async getJob(jobId) {
+    return AIJob.findById(jobId).populate('streamIds', 'name status');
+  }
+
+  async getJobs({ status, modelType, streamId, type, page = 1, limit = 20 } = {}) {
+    const query = {};
+    if (status) query.status = status;
+    if (modelType) query.modelType = modelType;
+    if (streamId) query.streamIds = streamId;
+    if (type) query.type = type;
+
+    const [docs, totalDocs] = await Promise.all([
+      AIJob.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('streamIds', 'name status'),
+      AIJob.countDocuments(query)
+    ]);
+
+    return {
+      docs,
+      page,
+      limit,
+      totalDocs,
+      totalPages: Math.ceil(totalDocs / limit)
+    };
+  }
+
+  // Queued jobs never start, running jobs stop after their current chunk
+  async cancelJob(jobId) {
+    return AIJob.findOneAndUpdate(
+      { _id: jobId, status: { $in: ['queued', 'processing'] } },
+      { status: 'cancelled', cancelledAt: new Date(), completedAt: new Date() },
+      { new: true }
+    );
+  }
+
+  // Run queued jobs one after the other, oldest first
+  async processQueuedStreams() {
+    if (this.isProcessing) return;
+
+    this.isProcessing = true;
+    try {
+      let job;
+      while ((job = await AIJob.claimNextJob())) {
+        await this.runJob(job);
+      }
+    } catch (error) {
+      console.error('❌ Error processing AI queue:', error);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  // Streams of a job are processed in chunks of BATCH_PROCESSING_SIZE
+  async runJob(job) {
+    // Skip streams already handled before a restart interrupted the job
+    const done = new Set(job.results.map(result => result.streamId.toString()));
+    const pending = job.streamIds.filter(streamId => !done.has(streamId.toString()));
+
+    for (let i = 0; i < pending.length; i += BATCH_PROCESSING_SIZE) {
+      const current = await AIJob.findById(job._id).select('status');
+      if (!current || current.status !== 'processing') {
+        console.log(`⏹️ AI job ${job._id} was cancelled`);
+        return;
+      }
+
+      const chunk = pending.slice(i, i + BATCH_PROCESSING_SIZE);
+      const results = await Promise.all(chunk.map(streamId => this.runTask(job, streamId)));
+      const failed = results.filter(result => !result.success).length;
+
+      await AIJob.updateOne({ _id: job._id }, {
+        $push: { results: { $each: results } },
+        $inc: {
+          'progress.completed': results.length - failed,
+          'progress.failed': failed
+        }
+      });
+    }
+
+    const finished = await AIJob.findById(job._id);
+    if (!finished || finished.status !== 'processing') return;
+
+    const { completed, failed } = finished.progress;
+    finished.status = failed === 0 ? 'completed' : completed === 0 ? 'failed' : 'partial';
+    finished.completedAt = new Date();
+    if (completed === 0 && failed > 0) {
+      finished.error = finished.results[finished.results.length - 1].error;
+    }
+
+    // Only move on from 'processing' so a late cancellation is not overwritten
+    await AIJob.updateOne({ _id: job._id, status: 'processing' }, {
+      status: finished.status,
+      completedAt: finished.completedAt,
+      error: finished.error
+    });
+  }
+
+  async runTask(job, streamId) {
+    try {
+      const model = await this.resolveModel(streamId, job.modelType);
+      if (!model || !model.isActive) {
+        throw new Error(`AI model ${job.modelType} is not available`);
+      }
+
+      const parameters = job.parameters || {};
+      const aiModel = {
+        modelType: job.modelType,
+        isActive: true,
+        confidence: model.confidence,
+        parameters: { ...model.parameters, ...parameters }
+      };
+
+      const data = await StreamService.runInference(streamId, aiModel, {
+        timeout: AI_PROCESSING_TIMEOUT,
+        override: Object.keys(parameters).length > 0
+      });
+
+      const result = new Result({
+        streamId,
+        modelType: data.modelType,
+        frameNumber: data.frameNumber || 0,
+        timestamp: data.timestamp,
+        processingTime: data.processingTime,
+        confidence: data.confidence || 0,
+        detections: data.detections || [],
+        analysis: data.analysis || {},
+        imageData: data.imageData || {}
+      });
+      await result.save();
+      emitToStream(streamId, 'ai-result', result.toJSON());
+
+      return { streamId, resultId: result._id, success: true, processedAt: new Date() };
+    } catch (error) {
+      console.error(`❌ AI job ${job._id} failed for stream ${streamId}:`, error.message);
+      return { streamId, success: false, error: error.message, processedAt: new Date() };
+    }
+  }
+
+  async getQueueStatus() {
+    const [queued, processing] = await Promise.all([
+      AIJob.countDocuments({ status: 'queued' }),
+      AIJob.countDocuments({ status: 'processing' })
+    ]);
+
+    return {
+      queued,
+      processing,
+      pendingTasks: await AIJob.countPendingTasks(),
+      capacity: AI_QUEUE_SIZE
+    };
+  }
+}
+
+module.exports = new AIService();
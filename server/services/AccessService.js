@@ -0,0 +1,64 @@
+const User = require('../models/User');
+const Stream = require('../models/Stream');
+
+// Roles in increasing order of privilege
+const ROLE_RANK = { viewer: 1, operator: 2, admin: 3 };
+
+class AccessService {
+  // Whether the user has at least the given role
+  hasRole(user, role) {
+    return Boolean(user) && (ROLE_RANK[user.role] || 0) >= ROLE_RANK[role];
+  }
+
+  // IDs of the streams granted to the user directly or through a site, null when unrestricted
+  async getStreamIds(user) {
+    if (this.hasRole(user, 'admin')) {
+      return null;
+    }
+
+    const grants = await User.findById(user.id).select('streamIds sites active');
+    if (!grants || !grants.active) {
+      return [];
+    }
+
+    const streams = await Stream.find({
+      $or: [
+        { _id: { $in: grants.streamIds } },
+        { 'metadata.site': { $in: grants.sites } }
+      ]
+    }).select('_id');
+    return streams.map(stream => stream._id);
+  }
+
+  // Query condition limiting documents to the user's streams.
+  // includeUnscoped keeps documents that belong to no stream, such as system alerts.
+  async streamScope(user, { field = 'streamId', includeUnscoped = false } = {}) {
+    const streamIds = await this.getStreamIds(user);
+    if (!streamIds) {
+      return {};
+    }
+
+    const conditions = [{ [field]: { $in: streamIds } }];
+    if (includeUnscoped) {
+      conditions.push({ [field]: null });
+    }
+    return { $or: conditions };
+  }
+
+  async canAccessStream(user, streamId) {
+    return this.canAccessStreams(user, [streamId]);
+  }
+
+  // Whether the user was granted every one of the streams
+  async canAccessStreams(user, streamIds) {
+    const granted = await this.getStreamIds(user);
+    if (!granted) {
+      return true;
+    }
+
+    const allowed = new Set(granted.map(id => id.toString()));
+    return streamIds.every(streamId => allowed.has(String(streamId)));
+  }
+}
+
+module.exports = new AccessService();
@@ -0,0 +1,184 @@
+const AlertRule = require('../models/AlertRule');
+const Alert = require('../models/Alert');
+
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3, critical: 4 };
+
+// Rules are reloaded at least this often so edits from other instances apply
+const RULE_CACHE_TTL = 60000;
+
+// Used while no rules are configured, matching the behaviour before rules existed
+const DEFAULT_RULE = new AlertRule({
+  name: 'High confidence detection',
+  modelTypes: ['object-detection'],
+  conditions: { minConfidence: 0.8 },
+  severity: 'medium'
+});
+
+// Flatten the different result shapes into comparable items
+const extractItems = (data) => {
+  const analysis = data.analysis || {};
+  const items = [];
+
+  (data.detections || []).forEach(detection => items.push({
+    label: detection.label,
+    confidence: detection.confidence,
+    bbox: detection.bbox
+  }));
+
+  (analysis.defects || []).forEach(defect => items.push({
+    label: defect.type,
+    confidence: defect.confidence,
+    bbox: defect.location,
+    severity: defect.severity
+  }));
+
+  (analysis.faces || []).forEach(face => items.push({
+    label: face.name,
+    confidence: face.confidence,
+    bbox: face.bbox
+  }));
+
+  if (analysis.motion && analysis.motion.detected) {
+    (analysis.motion.regions || []).forEach(region => items.push({
+      label: 'motion',
+      confidence: region.intensity,
+      bbox: region
+    }));
+  }
+
+  return items;
+};
+
+const overlaps = (box, zone) =>
+  !!box &&
+  box.x < zone.x + zone.width &&
+  box.x + box.width > zone.x &&
+  box.y < zone.y + zone.height &&
+  box.y + box.height > zone.y;
+
+class AlertRuleService {
+  constructor() {
+    this.rules = null;
+    this.loadedAt = 0;
+    // Timestamps of matching results per rule and stream, for windowed rules
+    this.windows = new Map();
+  }
+
+  async getRules() {
+    if (!this.rules || Date.now() - this.loadedAt > RULE_CACHE_TTL) {
+      this.rules = await AlertRule.find();
+      this.loadedAt = Date.now();
+    }
+    return this.rules.length > 0 ? this.rules : [DEFAULT_RULE];
+  }
+
+  // Called after rules are created, changed or deleted
+  invalidate() {
+    this.rules = null;
+    this.windows.clear();
+  }
+
+  // Items of a result that satisfy the rule's conditions
+  matchItems(rule, items) {
+    const { labels = [], minConfidence = 0, minSeverity, zone } = rule.conditions || {};
+
+    return items.filter(item => {
+      if (labels.length > 0 && !labels.includes(item.label)) return false;
+      if ((item.confidence || 0) < minConfidence) return false;
+      if (minSeverity && (SEVERITY_RANK[item.severity] || 0) < SEVERITY_RANK[minSeverity]) return false;
+      if (zone && zone.width && !overlaps(item.bbox, zone)) return false;
+      return true;
+    });
+  }
+
+  // Sliding window count, reset once the rule fires
+  checkWindow(rule, streamId) {
+    const { window } = rule.conditions || {};
+    if (!window || !window.count || !window.seconds) {
+      return true;
+    }
+
+    const key = `${rule._id}:${streamId}`;
+    const now = Date.now();
+    const since = now - window.seconds * 1000;
+    const hits = (this.windows.get(key) || []).filter(time => time > since);
+    hits.push(now);
+
+    if (hits.length >= window.count) {
+      this.windows.delete(key);
+      return true;
+    }
+
+    this.windows.set(key, hits);
+    return false;
+  }
+
+  async evaluate(streamId, data) {
+    const rules = await this.getRules();
+    const items = extractItems(data);
+    const triggered = [];
+
+    for (const rule of rules) {
+      if (!rule.appliesTo(streamId, data.modelType)) continue;
+
+      const matches = this.matchItems(rule, items);
+      if (matches.length < (rule.conditions.minCount || 1)) continue;
+      if (!this.checkWindow(rule, streamId)) continue;
+
+      triggered.push({ rule, matches });
+    }
+
+    return triggered;
+  }
+
+  // Evaluate an AI result and raise one alert per triggered rule and label.
+  // Resolves to { alert, created } pairs, created is false for repeats.
+  async processResult(streamId, data) {
+    const triggered = await this.evaluate(streamId, data);
+    const raised = [];
+
+    for (const { rule, matches } of triggered) {
+      const isDefault = rule === DEFAULT_RULE;
+      const byLabel = new Map();
+      matches.forEach(match => {
+        byLabel.set(match.label, [...(byLabel.get(match.label) || []), match]);
+      });
+
+      for (const [label, labelMatches] of byLabel) {
+        const maxConfidence = Math.max(...labelMatches.map(match => match.confidence || 0));
+
+        const outcome = await Alert.raise({
+          streamId,
+          ruleId: isDefault ? undefined : rule._id,
+          type: 'detection',
+          category: data.modelType,
+          title: `${rule.name}: ${label}`,
+          message: `${data.modelType} matched rule "${rule.name}" with ${labelMatches.length} ${label} ` +
+            `(confidence up to ${Math.round(maxConfidence * 100)}%)`,
+          severity: rule.severity,
+          data: {
+            modelType: data.modelType,
+            frameNumber: data.frameNumber,
+            label,
+            matches: labelMatches
+          }
+        }, {
+          fingerprint: `${streamId}:${isDefault ? 'default' : rule._id}:${label}`,
+          cooldownSeconds: rule.cooldownSeconds
+        });
+        raised.push(outcome);
+
+        if (outcome.created && !isDefault) {
+          await AlertRule.updateOne({ _id: rule._id }, {
+            lastTriggeredAt: new Date(),
+            $inc: { triggerCount: 1 }
+          });
+        }
+      }
+    }
+
+    return raised;
+  }
+}
+
+module.exports = new AlertRuleService();
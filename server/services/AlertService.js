@@ -1,104 +1,157 @@
 const Alert = require('../models/Alert');
+const EscalationPolicy = require('../models/EscalationPolicy');
+const NotificationService = require('./NotificationService');
+const AuditService = require('./AuditService');
+const { broadcastForStream } = require('../config/socket');
 
-// Get all alerts
-exports.getAllAlerts = async (req, res) => {
-  try {
-    const alerts = await Alert.find().populate('streamId', 'name status');
-    res.json(alerts);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+class AlertService {
+  constructor() {
+    this.isInitialized = false;
+    this.isChecking = false;
   }
-};
-
-// Get active alerts
-exports.getActiveAlerts = async (req, res) => {
-  try {
-    const alerts = await Alert.getActiveAlerts();
-    res.json(alerts);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-};
-
-// Get alerts by stream
-exports.getAlertsByStream = async (req, res) => {
-  try {
-    const { streamId } = req.params;
-    const alerts = await Alert.getAlertsByStream(streamId);
-    res.json(alerts);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-};
-
-// Get critical alerts
-exports.getCriticalAlerts = async (req, res) => {
-  try {
-    const alerts = await Alert.getCriticalAlerts();
-    res.json(alerts);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-};
-
-// Create a new alert
-exports.createAlert = async (req, res) => {
-  try {
-    const alert = new Alert(req.body);
-    await alert.save();
-    res.status(201).json(alert);
-  } catch (err) {
-    res.status(400).json({ error: err.message });
+
+  async initialize() {
+    try {
+      console.log('🔄 Initializing Alert Service...');
+
+      await Alert.init();
+
+      this.isInitialized = true;
+      console.log('✅ Alert Service initialized successfully');
+    } catch (error) {
+      console.error('❌ Alert Service initialization failed:', error);
+      throw error;
+    }
   }
-};
-
-// Acknowledge an alert
-exports.acknowledgeAlert = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { acknowledgedBy } = req.body;
-    const alert = await Alert.findById(id);
-    if (!alert) return res.status(404).json({ error: 'Alert not found' });
-    await alert.acknowledge(acknowledgedBy);
-    res.json(alert);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+
+  // Periodic pass over open alerts: expiry, then escalation
+  async checkForAlerts() {
+    // A slow pass must not overlap the next one and escalate twice
+    if (this.isChecking) {
+      return null;
+    }
+
+    this.isChecking = true;
+    try {
+      const expired = await this.expireAlerts();
+      const escalated = await this.escalateAlerts();
+      return { expired, escalated };
+    } finally {
+      this.isChecking = false;
+    }
   }
-};
-
-// Resolve an alert
-exports.resolveAlert = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { resolvedBy } = req.body;
-    const alert = await Alert.findById(id);
-    if (!alert) return res.status(404).json({ error: 'Alert not found' });
-    await alert.resolve(resolvedBy);
-    res.json(alert);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+
+  // Dismiss open alerts whose expiresAt has passed
+  async expireAlerts() {
+    try {
+      const expired = await Alert.find({
+        status: { $in: ['active', 'acknowledged'] },
+        expiresAt: { $lte: new Date() }
+      });
+
+      for (const alert of expired) {
+        const before = alert.toJSON();
+        await alert.dismiss('system', 'expired');
+        await AuditService.record({ action: 'alert.expire', targetType: 'alert', before, after: alert });
+        broadcastForStream(alert.streamId, 'alert-updated', alert.toJSON());
+      }
+
+      if (expired.length > 0) {
+        console.log(`🧹 Dismissed ${expired.length} expired alerts`);
+      }
+      return expired.length;
+    } catch (error) {
+      console.error('❌ Error expiring alerts:', error);
+      return 0;
+    }
   }
-};
-
-// Dismiss an alert
-exports.dismissAlert = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const alert = await Alert.findById(id);
-    if (!alert) return res.status(404).json({ error: 'Alert not found' });
-    await alert.dismiss();
-    res.json(alert);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+
+  // Delete closed alerts past their retention period; req is the request of a user-triggered cleanup
+  async cleanupAlerts({
+    expirationHours = parseInt(process.env.ALERT_EXPIRATION_HOURS) || 24,
+    criticalRetentionDays = parseInt(process.env.CRITICAL_ALERT_RETENTION_DAYS) || 30
+  } = {}, req = null) {
+    const result = await Alert.cleanOldAlerts(expirationHours, criticalRetentionDays);
+    if (req || result.deletedCount > 0) {
+      await AuditService.record({
+        req,
+        action: 'alert.cleanup',
+        targetType: 'alert',
+        details: { expirationHours, criticalRetentionDays, deletedCount: result.deletedCount }
+      });
+    }
+
+    if (result.deletedCount > 0) {
+      console.log(`🧹 Deleted ${result.deletedCount} closed alerts`);
+    }
+    return { ...result, expirationHours, criticalRetentionDays };
   }
-};
-
-// Get alert statistics
-exports.getAlertStatistics = async (req, res) => {
-  try {
-    const stats = await Alert.getAlertStatistics();
-    res.json(stats);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+
+  // Notify the next tier of the first matching policy for alerts still unacknowledged
+  async escalateAlerts() {
+    try {
+      const policies = await EscalationPolicy.getEnabledPolicies();
+      if (policies.length === 0) {
+        return 0;
+      }
+
+      const severities = [...new Set(
+        policies.flatMap(policy => EscalationPolicy.severitiesFrom(policy.minSeverity))
+      )];
+      const alerts = await Alert.find({ status: 'active', severity: { $in: severities } });
+      const now = Date.now();
+      let escalated = 0;
+
+      for (const alert of alerts) {
+        const policy = policies.find(candidate => candidate.appliesTo(alert));
+        const tier = policy && policy.tiers[alert.escalationLevel];
+        if (!tier || now - alert.timestamp.getTime() < tier.afterMinutes * 60 * 1000) {
+          continue;
+        }
+
+        const level = alert.escalationLevel + 1;
+
+        // Only escalate if nobody acknowledged the alert in the meantime
+        const updated = await Alert.findOneAndUpdate(
+          { _id: alert._id, status: 'active', escalationLevel: alert.escalationLevel },
+          {
+            $set: { escalationLevel: level },
+            $push: {
+              escalations: {
+                level,
+                policyId: policy._id,
+                channelIds: tier.channelIds,
+                escalatedAt: new Date()
+              }
+            }
+          },
+          { new: true }
+        );
+        if (!updated) continue;
+        await AuditService.record({
+          action: 'alert.escalate',
+          targetType: 'alert',
+          before: alert,
+          after: updated,
+          details: { policy: policy.name }
+        });
+        broadcastForStream(updated.streamId, 'alert-updated', updated.toJSON());
+
+        console.log(`📣 Escalating alert "${updated.title}" to tier ${level} of ${policy.name}`);
+        NotificationService.notifyChannels(updated, tier.channelIds, 'escalation', {
+          escalation: { level, policy: policy.name }
+        }).catch(error => {
+          console.error(`❌ Error notifying escalation tier ${level} for alert ${updated._id}:`, error);
+        });
+        escalated++;
+      }
+
+      return escalated;
+    } catch (error) {
+      console.error('❌ Error escalating alerts:', error);
+      return 0;
+    }
   }
-};
\ No newline at end of file
+}
+
+module.exports = new AlertService();
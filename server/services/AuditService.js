@@ -0,0 +1,148 @@
+const AuditLog = require('../models/AuditLog');
+
+// Bookkeeping and secrets are left out of snapshots and diffs
+const IGNORED_FIELDS = ['__v', 'updatedAt', 'passwordHash', 'sessions'];
+
+// Most entries a single CSV export returns, newest first
+const MAX_EXPORT_ROWS = 10000;
+
+const CSV_COLUMNS = ['timestamp', 'action', 'actor', 'role', 'targetType', 'targetId', 'targetName', 'changes', 'details', 'ip'];
+
+// Plain JSON copy of a document, as the API would return it
+const snapshot = (value) => {
+  if (value == null) {
+    return undefined;
+  }
+  const plain = JSON.parse(JSON.stringify(value));
+  IGNORED_FIELDS.forEach(field => delete plain[field]);
+  return plain;
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Nested objects as dotted paths, so a diff names the exact setting that changed
+const flatten = (value, prefix = '', fields = {}) => {
+  Object.entries(value || {}).forEach(([key, item]) => {
+    const field = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(item) && Object.keys(item).length > 0) {
+      flatten(item, field, fields);
+    } else {
+      fields[field] = item;
+    }
+  });
+  return fields;
+};
+
+const diff = (before, after) => {
+  const from = flatten(before);
+  const to = flatten(after);
+  return [...new Set([...Object.keys(from), ...Object.keys(to)])]
+    .filter(field => JSON.stringify(from[field]) !== JSON.stringify(to[field]))
+    .map(field => ({ field, from: from[field], to: to[field] }));
+};
+
+const actorOf = (req) => (req && req.user
+  ? { type: 'user', userId: req.user.id, username: req.user.username, role: req.user.role }
+  : { type: 'system' });
+
+// Quote a CSV cell, and keep spreadsheets from running cells that look like formulas
+const csvCell = (value) => {
+  let text = value == null ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+class AuditService {
+  // Record an action. before and after are the target as it was and as it is now;
+  // either is left out for creations and deletions.
+  // Failures are logged rather than failing the action that was audited.
+  async record({ req, action, targetType, targetId, targetName, before, after, details }) {
+    try {
+      const from = snapshot(before);
+      const to = snapshot(after);
+      const target = to || from || {};
+
+      return await AuditLog.create({
+        action,
+        actor: actorOf(req),
+        targetType,
+        targetId: targetId != null ? String(targetId) : target._id,
+        targetName: targetName || target.name || target.title || target.username,
+        before: from,
+        after: to,
+        changes: from && to ? diff(from, to) : [],
+        details,
+        ip: req ? req.ip : undefined
+      });
+    } catch (error) {
+      console.error(`❌ Error recording audit entry for ${action}:`, error);
+      return null;
+    }
+  }
+
+  buildQuery({ action, actor, targetType, targetId, from, to } = {}) {
+    const query = {};
+    // Several actions can be given as a comma separated list
+    if (action) query.action = { $in: String(action).split(',').map(item => item.trim()) };
+    // actor=system finds the actions the server took on its own
+    if (actor === 'system') query['actor.type'] = 'system';
+    else if (actor) query['actor.username'] = String(actor).toLowerCase();
+    if (targetType) query.targetType = targetType;
+    if (targetId) query.targetId = targetId;
+    if (from || to) {
+      query.timestamp = {};
+      if (from) query.timestamp.$gte = new Date(from);
+      if (to) query.timestamp.$lte = new Date(to);
+    }
+    return query;
+  }
+
+  async getEntries(filters = {}, { page = 1, limit = 50 } = {}) {
+    const query = this.buildQuery(filters);
+
+    const [docs, totalDocs] = await Promise.all([
+      AuditLog.find(query)
+        .sort({ timestamp: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditLog.countDocuments(query)
+    ]);
+
+    return {
+      docs,
+      page,
+      limit,
+      totalDocs,
+      totalPages: Math.ceil(totalDocs / limit)
+    };
+  }
+
+  // Matching entries as CSV, one row per entry
+  async exportCSV(filters = {}) {
+    const entries = await AuditLog.find(this.buildQuery(filters))
+      .sort({ timestamp: -1 })
+      .limit(MAX_EXPORT_ROWS)
+      .lean();
+
+    const rows = entries.map(entry => [
+      entry.timestamp.toISOString(),
+      entry.action,
+      entry.actor.type === 'system' ? 'system' : entry.actor.username,
+      entry.actor.role,
+      entry.targetType,
+      entry.targetId,
+      entry.targetName,
+      (entry.changes || [])
+        .map(change => `${change.field}: ${JSON.stringify(change.from)} -> ${JSON.stringify(change.to)}`)
+        .join('; '),
+      entry.details ? JSON.stringify(entry.details) : '',
+      entry.ip
+    ].map(csvCell).join(','));
+
+    return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+  }
+}
+
+module.exports = new AuditService();
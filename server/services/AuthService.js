@@ -0,0 +1,168 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const User = require('../models/User');
+
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL = process.env.JWT_REFRESH_EXPIRES_IN || '7d';
+
+// Failed logins and bad tokens are reported as 401 by the routes
+const authError = (message) => {
+  const error = new Error(message);
+  error.code = 'UNAUTHORIZED';
+  return error;
+};
+
+class AuthService {
+  constructor() {
+    this.isInitialized = false;
+    // Only used when JWT_SECRET is missing outside production
+    this.fallbackSecret = crypto.randomBytes(32).toString('hex');
+  }
+
+  async initialize() {
+    try {
+      console.log('🔄 Initializing Auth Service...');
+
+      if (!process.env.JWT_SECRET) {
+        if (process.env.NODE_ENV === 'production') {
+          throw new Error('JWT_SECRET must be set in production');
+        }
+        console.warn('⚠️ JWT_SECRET is not set, using a random secret: sessions end when the server restarts');
+      }
+
+      await this.ensureAdminUser();
+
+      this.isInitialized = true;
+      console.log('✅ Auth Service initialized successfully');
+    } catch (error) {
+      console.error('❌ Auth Service initialization failed:', error);
+      throw error;
+    }
+  }
+
+  get secret() {
+    return process.env.JWT_SECRET || this.fallbackSecret;
+  }
+
+  // Create the first user from ADMIN_USERNAME and ADMIN_PASSWORD on an empty database
+  async ensureAdminUser() {
+    const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+
+    const count = await User.countDocuments();
+    if (count > 0) {
+      // Users created before roles existed are viewers, so make sure someone can still administer
+      if (ADMIN_USERNAME && !(await User.exists({ role: 'admin' }))) {
+        await User.updateOne({ username: ADMIN_USERNAME.toLowerCase().trim() }, { $set: { role: 'admin' } });
+      }
+      return null;
+    }
+
+    if (!ADMIN_USERNAME || !ADMIN_PASSWORD) {
+      console.warn('⚠️ No users exist yet, set ADMIN_USERNAME and ADMIN_PASSWORD to create the first one');
+      return null;
+    }
+
+    const user = new User({ username: ADMIN_USERNAME, displayName: ADMIN_USERNAME, role: 'admin' });
+    await user.setPassword(ADMIN_PASSWORD);
+    await user.save();
+
+    console.log(`👤 Created user ${user.username}`);
+    return user;
+  }
+
+  async login(username, password) {
+    const user = await User.findForLogin(username);
+    if (!user || !user.active || !(await user.comparePassword(password))) {
+      throw authError('Invalid username or password');
+    }
+
+    const tokens = await this.issueTokens(user);
+    await User.updateOne({ _id: user._id }, { $set: { lastLoginAt: new Date() } });
+    return { user, ...tokens };
+  }
+
+  // Trade a refresh token for a new pair; each refresh token works once
+  async refresh(refreshToken) {
+    const payload = this.verifyToken(refreshToken, 'refresh');
+
+    const user = await User.findOneAndUpdate(
+      { _id: payload.sub, active: true, 'sessions.tokenId': payload.jti },
+      { $pull: { sessions: { tokenId: payload.jti } } },
+      { new: true }
+    );
+    if (!user) {
+      throw authError('Session has ended, please log in again');
+    }
+
+    const tokens = await this.issueTokens(user);
+    return { user, ...tokens };
+  }
+
+  // End the session behind a refresh token, even if it has already expired
+  async logout(refreshToken) {
+    let payload;
+    try {
+      payload = jwt.verify(refreshToken, this.secret, { ignoreExpiration: true });
+    } catch (error) {
+      return false;
+    }
+
+    const result = await User.updateOne(
+      { _id: payload.sub },
+      { $pull: { sessions: { tokenId: payload.jti } } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  async issueTokens(user) {
+    const tokenId = uuidv4();
+    const accessToken = jwt.sign(
+      { sub: user._id.toString(), username: user.username, role: user.role, type: 'access' },
+      this.secret,
+      { expiresIn: ACCESS_TOKEN_TTL }
+    );
+    const refreshToken = jwt.sign(
+      { sub: user._id.toString(), type: 'refresh' },
+      this.secret,
+      { expiresIn: REFRESH_TOKEN_TTL, jwtid: tokenId }
+    );
+
+    const now = new Date();
+    const expiresAt = new Date(jwt.decode(refreshToken).exp * 1000);
+
+    // Drop sessions that ran out, then record the new one
+    await User.updateOne({ _id: user._id }, { $pull: { sessions: { expiresAt: { $lte: now } } } });
+    await User.updateOne({ _id: user._id }, { $push: { sessions: { tokenId, expiresAt, createdAt: now } } });
+
+    return { accessToken, refreshToken };
+  }
+
+  verifyToken(token, type) {
+    let payload;
+    try {
+      payload = jwt.verify(token || '', this.secret);
+    } catch (error) {
+      throw authError(error.name === 'TokenExpiredError' ? 'Token has expired' : 'Invalid token');
+    }
+
+    if (payload.type !== type) {
+      throw authError('Invalid token');
+    }
+    return payload;
+  }
+
+  // The signed-in user carried by an access token, as currently stored, so a
+  // deactivated user is refused and a new role applies straight away
+  async authenticate(accessToken) {
+    const payload = this.verifyToken(accessToken, 'access');
+
+    const user = await User.findById(payload.sub).select('username role active');
+    if (!user || !user.active) {
+      throw authError('Account is disabled');
+    }
+    return { id: user._id.toString(), username: user.username, role: user.role };
+  }
+}
+
+module.exports = new AuthService();
@@ -0,0 +1,176 @@
+const { FFmpegSupervisor, buildInputArgs } = require('../utils/ffmpeg');
+const { UPLOADS_ROOT, resolveUploadPath } = require('../utils/uploads');
+const { decryptCredentials } = require('../utils/secrets');
+const path = require('path');
+const fs = require('fs');
+
+const LIVE_ROOT = path.join(UPLOADS_ROOT, 'live');
+
+// Rolling playlist: 6 segments of 2 seconds
+const HLS_SEGMENT_SECONDS = 2;
+const HLS_LIST_SIZE = 6;
+
+// Only these names are ever served from a live directory
+const LIVE_FILE_PATTERN = /^(index\.m3u8|segment_\d+\.ts)$/;
+
+class LiveService {
+  constructor() {
+    this.packagers = new Map();
+  }
+
+  getLiveDir(streamId) {
+    return path.join(LIVE_ROOT, streamId.toString());
+  }
+
+  // startTime is where file sources begin, in step with the stream worker
+  buildInputArgs(stream, startTime = 0) {
+    const { source, settings = {} } = stream;
+
+    if (source.type === 'file') {
+      const playback = settings.playback || {};
+      return [
+        '-re',
+        ...(playback.mode === 'loop' ? ['-stream_loop', '-1'] : []),
+        ...(startTime > 0 ? ['-ss', String(startTime)] : []),
+        '-i', resolveUploadPath(source.url)
+      ];
+    }
+
+    return buildInputArgs(source.url, decryptCredentials(source.credentials));
+  }
+
+  buildEncodeArgs(stream) {
+    // H.264 from network cameras is repackaged as is, anything else is transcoded
+    if (stream.source.type === 'rtsp' || stream.source.type === 'rtmp') {
+      return ['-c:v', 'copy'];
+    }
+
+    const fps = (stream.settings && stream.settings.fps) || 25;
+    return [
+      '-c:v', 'libx264',
+      '-preset', 'veryfast',
+      '-tune', 'zerolatency',
+      '-pix_fmt', 'yuv420p',
+      // Keyframe at every segment boundary; ffmpeg only takes whole frame counts
+      '-g', String(Math.max(1, Math.round(fps * HLS_SEGMENT_SECONDS))),
+      '-sc_threshold', '0'
+    ];
+  }
+
+  buildArgs(stream, dir, startTime) {
+    return [
+      '-hide_banner', '-loglevel', 'error', '-nostdin',
+      ...this.buildInputArgs(stream, startTime),
+      '-an',
+      ...this.buildEncodeArgs(stream),
+      '-f', 'hls',
+      '-hls_time', String(HLS_SEGMENT_SECONDS),
+      '-hls_list_size', String(HLS_LIST_SIZE),
+      // Wall-clock segment times let the player line detections up with the video
+      '-hls_flags', 'delete_segments+omit_endlist+independent_segments+program_date_time',
+      '-hls_segment_filename', path.join(dir, 'segment_%05d.ts'),
+      path.join(dir, 'index.m3u8')
+    ];
+  }
+
+  async startLive(stream, { startTime } = {}) {
+    try {
+      const streamId = stream._id.toString();
+      if (this.packagers.has(streamId)) {
+        return this.packagers.get(streamId);
+      }
+
+      if (stream.source.type === 'camera') {
+        console.warn(`⚠️ Live view is not supported for camera source of ${stream.name}`);
+        return null;
+      }
+
+      // Start from an empty directory so players never pick up a stale playlist
+      const dir = this.getLiveDir(streamId);
+      await fs.promises.rm(dir, { recursive: true, force: true });
+      await fs.promises.mkdir(dir, { recursive: true });
+
+      const isFile = stream.source.type === 'file';
+      if (startTime === undefined) {
+        const playback = (stream.settings && stream.settings.playback) || {};
+        startTime = isFile ? playback.startTime || 0 : 0;
+      }
+
+      const supervisor = new FFmpegSupervisor({
+        buildArgs: () => this.buildArgs(stream, dir, startTime),
+        // A file played once ends instead of replaying from the start
+        restartOnEnd: !isFile
+      });
+
+      supervisor.on('exited', ({ reason }) => {
+        console.warn(`⚠️ Live packager for ${stream.name} exited: ${reason}`);
+      });
+
+      supervisor.on('end', () => {
+        console.log(`🏁 Live view of ${stream.name} reached the end of the file`);
+      });
+
+      supervisor.on('error', (error) => {
+        console.error(`❌ Live packager error for ${stream.name}:`, error.message);
+      });
+
+      const packager = { stream, dir, supervisor, startTime, startedAt: new Date() };
+      this.packagers.set(streamId, packager);
+      supervisor.start();
+
+      console.log(`📺 Live view started for ${stream.name}`);
+      return packager;
+    } catch (error) {
+      // Live view is best effort, a failure here must not stop processing
+      console.error(`❌ Failed to start live view for stream ${stream._id}:`, error);
+      return null;
+    }
+  }
+
+  async stopLive(streamId) {
+    try {
+      const packager = this.packagers.get(streamId.toString());
+      this.packagers.delete(streamId.toString());
+
+      if (packager) {
+        await packager.supervisor.stop();
+      }
+
+      await fs.promises.rm(this.getLiveDir(streamId), { recursive: true, force: true });
+      return !!packager;
+    } catch (error) {
+      console.error(`❌ Failed to stop live view for stream ${streamId}:`, error);
+      throw error;
+    }
+  }
+
+  // Restart a file source's live view from a new position after the worker seeked
+  async seekLive(stream, position) {
+    if (!this.isLive(stream._id)) {
+      return null;
+    }
+
+    await this.stopLive(stream._id);
+    return this.startLive(stream, { startTime: Math.max(0, position) });
+  }
+
+  isLive(streamId) {
+    return this.packagers.has(streamId.toString());
+  }
+
+  // Path of a playlist or segment, or null if the name is not a live file
+  getLiveFilePath(streamId, fileName) {
+    if (!LIVE_FILE_PATTERN.test(fileName)) {
+      return null;
+    }
+    return path.join(this.getLiveDir(streamId), fileName);
+  }
+
+  async cleanup() {
+    for (const [streamId] of this.packagers) {
+      await this.stopLive(streamId);
+    }
+  }
+}
+
+module.exports = new LiveService();
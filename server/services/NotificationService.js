@@ -0,0 +1,224 @@
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const NotificationChannel = require('../models/NotificationChannel');
+const NotificationLog = require('../models/NotificationLog');
+const Stream = require('../models/Stream');
+
+const REQUEST_TIMEOUT = 10000;
+
+const DEFAULT_TEMPLATES = {
+  subject: '[{{alert.severity}}] {{alert.title}}',
+  body: [
+    '{{alert.message}}',
+    '',
+    'Stream: {{stream.name}}',
+    'Severity: {{alert.severity}}',
+    'Status: {{alert.status}}',
+    'Occurrences: {{alert.occurrences}}',
+    'First seen: {{alert.firstSeenAt}}'
+  ].join('\n'),
+  escalationSubject: '[Escalation {{escalation.level}}] [{{alert.severity}}] {{alert.title}}'
+};
+
+// Replace {{path.to.value}} placeholders with values from the context
+const render = (template, context) =>
+  template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (placeholder, key) => {
+    const value = key.split('.').reduce((obj, part) => (obj == null ? undefined : obj[part]), context);
+    if (value == null) return '';
+    return value instanceof Date ? value.toISOString() : String(value);
+  });
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class NotificationService {
+  // Send an alert to every channel it is routed to, without holding up the caller
+  notify(alert, event = 'created') {
+    this.dispatch(alert, event).catch(error => {
+      console.error(`❌ Error dispatching notifications for alert ${alert._id}:`, error);
+    });
+  }
+
+  async dispatch(alert, event = 'created') {
+    const channels = await NotificationChannel.find({ enabled: true });
+    const routed = channels.filter(channel => channel.routes(alert));
+    if (routed.length === 0) {
+      return [];
+    }
+
+    const context = await this.buildContext(alert, event);
+    return Promise.all(routed.map(channel => this.deliver(channel, context, alert._id)));
+  }
+
+  // Send an alert to specific channels regardless of their routing, e.g. an escalation tier
+  async notifyChannels(alert, channelIds, event, extra = {}) {
+    const channels = await NotificationChannel.find({ _id: { $in: channelIds }, enabled: true });
+    if (channels.length === 0) {
+      return [];
+    }
+
+    const context = await this.buildContext(alert, event, extra);
+    return Promise.all(channels.map(channel => this.deliver(channel, context, alert._id)));
+  }
+
+  async buildContext(alert, event, extra = {}) {
+    const streamId = alert.streamId && (alert.streamId._id || alert.streamId);
+    const stream = streamId ? await Stream.findById(streamId).select('name status') : null;
+
+    return {
+      ...extra,
+      event,
+      alert: typeof alert.toObject === 'function' ? alert.toObject() : alert,
+      stream: stream ? { id: stream._id.toString(), name: stream.name, status: stream.status } : { name: 'System' }
+    };
+  }
+
+  // Send with exponential backoff between attempts and record the outcome
+  async deliver(channel, context, alertId) {
+    const defaultSubject = context.event === 'escalation'
+      ? DEFAULT_TEMPLATES.escalationSubject
+      : DEFAULT_TEMPLATES.subject;
+    const templates = {
+      subject: (channel.templates && channel.templates.subject) || defaultSubject,
+      body: (channel.templates && channel.templates.body) || DEFAULT_TEMPLATES.body
+    };
+    const message = {
+      subject: render(templates.subject, context),
+      body: render(templates.body, context)
+    };
+    const { attempts = 3, backoffMs = 1000 } = channel.retry || {};
+
+    let attempt = 0;
+    let response;
+    let lastError;
+
+    while (attempt < attempts) {
+      attempt++;
+      try {
+        response = await this.send(channel, message, context);
+        lastError = null;
+        break;
+      } catch (error) {
+        lastError = error;
+        console.warn(`⚠️ Notification via ${channel.name} failed (attempt ${attempt}/${attempts}): ${error.message}`);
+        if (attempt < attempts) {
+          await wait(backoffMs * Math.pow(2, attempt - 1));
+        }
+      }
+    }
+
+    return NotificationLog.create({
+      channelId: channel._id,
+      channelType: channel.type,
+      alertId,
+      event: context.event,
+      status: lastError ? 'failed' : 'sent',
+      attempts: attempt,
+      subject: message.subject,
+      response,
+      error: lastError ? lastError.message : undefined
+    });
+  }
+
+  async send(channel, message, context) {
+    switch (channel.type) {
+      case 'webhook':
+        return this.sendWebhook(channel.config, message, context);
+      case 'slack':
+        return this.sendSlack(channel.config, message);
+      case 'email':
+        return this.sendEmail(channel.config, message);
+      default:
+        throw new Error(`Unsupported channel type: ${channel.type}`);
+    }
+  }
+
+  async sendWebhook(config, message, context) {
+    if (!config.url) {
+      throw new Error('Webhook channel has no url');
+    }
+
+    const response = await axios({
+      method: config.method || 'POST',
+      url: config.url,
+      headers: config.headers || {},
+      timeout: REQUEST_TIMEOUT,
+      data: {
+        event: context.event,
+        subject: message.subject,
+        text: message.body,
+        alert: context.alert,
+        stream: context.stream
+      }
+    });
+    return String(response.status);
+  }
+
+  // Slack incoming webhooks and compatible receivers (Mattermost, Rocket.Chat)
+  async sendSlack(config, message) {
+    const url = config.url || process.env.SLACK_WEBHOOK_URL;
+    if (!url) {
+      throw new Error('Slack channel has no url and SLACK_WEBHOOK_URL is not set');
+    }
+
+    const response = await axios.post(url, {
+      text: `*${message.subject}*\n${message.body}`
+    }, { timeout: REQUEST_TIMEOUT });
+    return String(response.status);
+  }
+
+  async sendEmail(config, message) {
+    const to = config.to || process.env.SMTP_TO;
+    if (!to || to.length === 0) {
+      throw new Error('Email channel has no recipients');
+    }
+
+    const username = config.username || process.env.SMTP_USER;
+    const transport = nodemailer.createTransport({
+      host: config.host || process.env.SMTP_HOST || 'localhost',
+      port: config.port || parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: config.secure === true,
+      auth: username ? { user: username, pass: config.password || process.env.SMTP_PASSWORD } : undefined,
+      connectionTimeout: REQUEST_TIMEOUT
+    });
+
+    try {
+      const info = await transport.sendMail({
+        from: config.from || process.env.SMTP_FROM || 'vms@localhost',
+        to,
+        subject: message.subject,
+        text: message.body
+      });
+      return info.response;
+    } finally {
+      transport.close();
+    }
+  }
+
+  // Send a sample alert through one channel to check its configuration
+  async testChannel(channel) {
+    const sample = {
+      _id: undefined,
+      title: 'Test notification',
+      message: `This is a test notification from channel ${channel.name}`,
+      severity: 'low',
+      status: 'active',
+      occurrences: 1,
+      firstSeenAt: new Date()
+    };
+
+    return this.deliver(channel, { event: 'test', alert: sample, stream: { name: 'System' } });
+  }
+
+  // Delete delivery log entries past their retention period
+  async cleanupLogs(retentionDays = parseInt(process.env.NOTIFICATION_LOG_RETENTION_DAYS) || 30) {
+    const result = await NotificationLog.cleanOldLogs(retentionDays);
+
+    if (result.deletedCount > 0) {
+      console.log(`🧹 Deleted ${result.deletedCount} notification log entries older than ${retentionDays} days`);
+    }
+
+    return result.deletedCount;
+  }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,438 @@
+const Recording = require('../models/Recording');
+const { FFmpegSupervisor, runFFmpeg, buildInputArgs } = require('../utils/ffmpeg');
+const { UPLOADS_ROOT } = require('../utils/uploads');
+const { decryptCredentials } = require('../utils/secrets');
+const path = require('path');
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+
+const RECORDINGS_ROOT = path.join(UPLOADS_ROOT, 'recordings');
+const EXPORTS_ROOT = path.join(UPLOADS_ROOT, 'exports');
+
+// Length of the rolling buffer chunks that event clips are cut from
+const EVENT_CHUNK_SECONDS = 2;
+const RECORDABLE_SOURCES = ['rtsp', 'rtmp', 'http'];
+
+const formatFileTimestamp = (date) => date.toISOString().replace(/[:.]/g, '-');
+
+class RecordingService {
+  constructor() {
+    this.recorders = new Map();
+  }
+
+  getRecordingSettings(stream) {
+    const recording = (stream.settings && stream.settings.recording) || {};
+
+    return {
+      enabled: !!recording.enabled,
+      mode: recording.mode === 'event' ? 'event' : 'continuous',
+      duration: recording.duration || 3600,
+      format: recording.format === 'ts' ? 'ts' : 'mp4',
+      preRoll: recording.preRoll !== undefined ? recording.preRoll : 10,
+      postRoll: recording.postRoll !== undefined ? recording.postRoll : 20,
+      path: recording.path
+    };
+  }
+
+  getRecordingDir(stream, settings) {
+    // A path like /recordings/security-cam-1 is kept under uploads/recordings
+    const relative = (settings.path || stream._id.toString()).replace(/^\/?(recordings\/)?/, '');
+    const dir = path.resolve(RECORDINGS_ROOT, relative);
+
+    if (!dir.startsWith(RECORDINGS_ROOT + path.sep)) {
+      throw new Error('Recording path must be inside the recordings directory');
+    }
+
+    return dir;
+  }
+
+  buildEncodeArgs(stream) {
+    // MJPEG from HTTP cameras has to be re-encoded to fit MP4/TS, network streams are copied
+    if (stream.source.type === 'http') {
+      return ['-c:v', 'libx264', '-preset', 'veryfast', '-pix_fmt', 'yuv420p', '-an'];
+    }
+    return ['-c:v', 'copy', '-c:a', 'aac'];
+  }
+
+  buildContinuousArgs(recorder) {
+    const { stream, settings, dir } = recorder;
+
+    return [
+      '-hide_banner', '-loglevel', 'error', '-nostdin',
+      ...buildInputArgs(stream.source.url, decryptCredentials(stream.source.credentials)),
+      ...this.buildEncodeArgs(stream),
+      '-f', 'segment',
+      '-segment_time', String(settings.duration),
+      '-segment_format', settings.format === 'ts' ? 'mpegts' : 'mp4',
+      '-reset_timestamps', '1',
+      '-strftime', '1',
+      // Completed segments are reported on stdout as "file,start,end"
+      '-segment_list', 'pipe:1',
+      '-segment_list_type', 'csv',
+      path.join(dir, `%Y%m%d-%H%M%S.${settings.format}`)
+    ];
+  }
+
+  buildEventArgs(recorder) {
+    const { stream } = recorder;
+
+    return [
+      '-hide_banner', '-loglevel', 'error', '-nostdin',
+      ...buildInputArgs(stream.source.url, decryptCredentials(stream.source.credentials)),
+      ...this.buildEncodeArgs(stream),
+      '-f', 'segment',
+      '-segment_time', String(EVENT_CHUNK_SECONDS),
+      '-segment_format', 'mpegts',
+      '-reset_timestamps', '1',
+      '-segment_wrap', String(recorder.wrap),
+      '-segment_list', 'pipe:1',
+      '-segment_list_type', 'csv',
+      path.join(recorder.bufferDir, 'chunk-%03d.ts')
+    ];
+  }
+
+  async startRecording(stream) {
+    try {
+      const streamId = stream._id.toString();
+      const settings = this.getRecordingSettings(stream);
+
+      if (!settings.enabled || this.recorders.has(streamId)) {
+        return this.recorders.get(streamId) || null;
+      }
+
+      if (!RECORDABLE_SOURCES.includes(stream.source.type)) {
+        console.warn(`⚠️ Recording is not supported for ${stream.source.type} source of ${stream.name}`);
+        return null;
+      }
+
+      const dir = this.getRecordingDir(stream, settings);
+      fs.mkdirSync(dir, { recursive: true });
+
+      const recorder = {
+        stream,
+        settings,
+        dir,
+        startedAt: null,
+        chunks: [],
+        pendingEvent: null,
+        supervisor: null
+      };
+
+      if (settings.mode === 'event') {
+        recorder.bufferDir = path.join(dir, '.buffer');
+        // Ring buffer sized for twice the event window, so a clip can be extended once
+        recorder.wrap = Math.ceil((settings.preRoll + settings.postRoll) * 2 / EVENT_CHUNK_SECONDS) + 5;
+        fs.mkdirSync(recorder.bufferDir, { recursive: true });
+      }
+
+      recorder.supervisor = new FFmpegSupervisor({
+        buildArgs: () => settings.mode === 'event'
+          ? this.buildEventArgs(recorder)
+          : this.buildContinuousArgs(recorder)
+      });
+
+      recorder.supervisor.on('started', ({ startedAt }) => {
+        recorder.startedAt = startedAt;
+        // A restarted process rewrites the ring buffer from its first file
+        recorder.chunks = [];
+      });
+
+      recorder.supervisor.on('line', (line) => {
+        this.handleSegment(recorder, line).catch(error => {
+          console.error(`❌ Failed to index recording segment for ${stream.name}:`, error);
+        });
+      });
+
+      recorder.supervisor.on('exited', ({ reason }) => {
+        console.warn(`⚠️ Recorder for ${stream.name} exited: ${reason}`);
+      });
+
+      recorder.supervisor.on('restarting', ({ attempt, delay }) => {
+        console.log(`🔁 Restarting recorder for ${stream.name} in ${delay}ms (attempt ${attempt})`);
+      });
+
+      recorder.supervisor.on('error', (error) => {
+        console.error(`❌ Recorder error for ${stream.name}:`, error.message);
+      });
+
+      this.recorders.set(streamId, recorder);
+      recorder.supervisor.start();
+
+      console.log(`⏺️ Recording started for ${stream.name} (${settings.mode})`);
+      return recorder;
+    } catch (error) {
+      // Recording is best effort, a failure here must not stop live processing
+      console.error(`❌ Failed to start recording for stream ${stream._id}:`, error);
+      return null;
+    }
+  }
+
+  async stopRecording(streamId) {
+    try {
+      const recorder = this.recorders.get(streamId.toString());
+      if (!recorder) {
+        return false;
+      }
+
+      this.recorders.delete(streamId.toString());
+
+      // Waits for ffmpeg to close the current segment
+      await recorder.supervisor.stop();
+
+      if (recorder.pendingEvent) {
+        clearTimeout(recorder.pendingEvent.timer);
+        await this.finalizeEvent(recorder, recorder.pendingEvent).catch(error => {
+          console.error(`❌ Failed to save event recording for ${recorder.stream.name}:`, error);
+        });
+        recorder.pendingEvent = null;
+      }
+
+      if (recorder.bufferDir) {
+        await fs.promises.rm(recorder.bufferDir, { recursive: true, force: true });
+      }
+
+      console.log(`⏹️ Recording stopped for ${recorder.stream.name}`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Failed to stop recording for stream ${streamId}:`, error);
+      throw error;
+    }
+  }
+
+  async handleSegment(recorder, line) {
+    const [name, start, end] = line.split(',');
+    const baseTime = recorder.startedAt.getTime();
+    const startTime = new Date(baseTime + parseFloat(start) * 1000);
+    const endTime = new Date(baseTime + parseFloat(end) * 1000);
+
+    if (recorder.settings.mode === 'event') {
+      recorder.chunks.push({
+        file: path.join(recorder.bufferDir, path.basename(name)),
+        startTime,
+        endTime
+      });
+      // Older entries point at files the wrap has since overwritten
+      recorder.chunks = recorder.chunks.slice(-(recorder.wrap - 1));
+      return;
+    }
+
+    const filePath = path.join(recorder.dir, path.basename(name));
+    const stats = await fs.promises.stat(filePath);
+
+    await Recording.create({
+      streamId: recorder.stream._id,
+      type: 'continuous',
+      format: recorder.settings.format,
+      filePath: path.relative(UPLOADS_ROOT, filePath),
+      fileName: path.basename(filePath),
+      startTime,
+      endTime,
+      duration: (endTime - startTime) / 1000,
+      size: stats.size
+    });
+  }
+
+  // Called when an alert is raised for a stream recording in event mode
+  async triggerEvent(streamId, alert, reason) {
+    try {
+      const recorder = this.recorders.get(streamId.toString());
+      if (!recorder || recorder.settings.mode !== 'event') {
+        return null;
+      }
+
+      const now = Date.now();
+      const { preRoll, postRoll } = recorder.settings;
+      const alertId = alert && alert._id;
+      const maxWindow = (recorder.wrap - 2) * EVENT_CHUNK_SECONDS * 1000;
+      let pending = recorder.pendingEvent;
+
+      // Extend the open clip while it still fits in the ring buffer
+      if (pending && now + postRoll * 1000 - pending.start <= maxWindow) {
+        clearTimeout(pending.timer);
+        pending.end = now + postRoll * 1000;
+        // Repeated occurrences of one alert extend the clip without listing it twice
+        if (alertId && !pending.alertIds.some(id => id.toString() === alertId.toString())) {
+          pending.alertIds.push(alertId);
+        }
+      } else {
+        if (pending) {
+          clearTimeout(pending.timer);
+          await this.finalizeEvent(recorder, pending);
+        }
+
+        pending = {
+          start: now - preRoll * 1000,
+          end: now + postRoll * 1000,
+          triggeredAt: new Date(now),
+          alertIds: alertId ? [alertId] : [],
+          reason: reason || (alert && alert.title)
+        };
+        recorder.pendingEvent = pending;
+      }
+
+      // Wait for the chunk covering the end of the post-roll to be written
+      const delay = pending.end - now + EVENT_CHUNK_SECONDS * 2000;
+      pending.timer = setTimeout(() => {
+        if (recorder.pendingEvent === pending) {
+          recorder.pendingEvent = null;
+        }
+        this.finalizeEvent(recorder, pending).catch(error => {
+          console.error(`❌ Failed to save event recording for ${recorder.stream.name}:`, error);
+        });
+      }, delay);
+
+      return pending;
+    } catch (error) {
+      console.error(`❌ Failed to trigger event recording for stream ${streamId}:`, error);
+      return null;
+    }
+  }
+
+  async finalizeEvent(recorder, event) {
+    const chunks = recorder.chunks.filter(chunk =>
+      chunk.endTime.getTime() > event.start && chunk.startTime.getTime() < event.end
+    );
+
+    if (chunks.length === 0) {
+      console.warn(`⚠️ No buffered footage for event on ${recorder.stream.name}`);
+      return null;
+    }
+
+    const { format, preRoll, postRoll } = recorder.settings;
+    const startTime = chunks[0].startTime;
+    const endTime = chunks[chunks.length - 1].endTime;
+    const fileName = `event-${formatFileTimestamp(startTime)}.${format}`;
+    const outputPath = path.join(recorder.dir, fileName);
+    const listPath = path.join(recorder.dir, `${fileName}.txt`);
+
+    try {
+      await fs.promises.writeFile(listPath, chunks.map(chunk => `file '${chunk.file}'`).join('\n'));
+
+      await runFFmpeg([
+        '-f', 'concat',
+        '-safe', '0',
+        '-i', listPath,
+        '-c', 'copy',
+        ...(format === 'mp4' ? ['-bsf:a', 'aac_adtstoasc', '-movflags', '+faststart'] : []),
+        '-y', outputPath
+      ]);
+
+      const stats = await fs.promises.stat(outputPath);
+
+      const recording = await Recording.create({
+        streamId: recorder.stream._id,
+        type: 'event',
+        format,
+        filePath: path.relative(UPLOADS_ROOT, outputPath),
+        fileName,
+        startTime,
+        endTime,
+        duration: (endTime - startTime) / 1000,
+        size: stats.size,
+        event: {
+          alertIds: event.alertIds,
+          triggeredAt: event.triggeredAt,
+          preRoll,
+          postRoll,
+          reason: event.reason
+        }
+      });
+
+      console.log(`🎞️ Event recording saved for ${recorder.stream.name}: ${fileName}`);
+      return recording;
+    } finally {
+      await fs.promises.rm(listPath, { force: true });
+    }
+  }
+
+  // Absolute path of a recording file, refusing anything outside the recordings directory
+  getRecordingPath(recording) {
+    const filePath = path.resolve(UPLOADS_ROOT, recording.filePath);
+
+    if (!filePath.startsWith(RECORDINGS_ROOT + path.sep)) {
+      throw new Error('Invalid recording path');
+    }
+
+    return filePath;
+  }
+
+  // Cut and join the footage between two timestamps into a single MP4
+  async exportClip(streamId, from, to) {
+    try {
+      const recordings = await Recording.getRecordingsByTimeRange(streamId, from, to);
+      if (recordings.length === 0) {
+        throw new Error('No recordings found in the requested time range');
+      }
+
+      const entries = [];
+      let cursor = from.getTime();
+
+      for (const recording of recordings) {
+        const start = recording.startTime.getTime();
+        const end = recording.endTime.getTime();
+
+        // Skip footage already covered, e.g. an event clip inside a continuous segment
+        if (end <= cursor) continue;
+
+        const lines = [`file '${this.getRecordingPath(recording)}'`];
+        if (cursor > start) {
+          lines.push(`inpoint ${((cursor - start) / 1000).toFixed(3)}`);
+        }
+        if (end > to.getTime()) {
+          lines.push(`outpoint ${((to.getTime() - start) / 1000).toFixed(3)}`);
+        }
+
+        entries.push(lines.join('\n'));
+        cursor = Math.min(end, to.getTime());
+        if (cursor >= to.getTime()) break;
+      }
+
+      await fs.promises.mkdir(EXPORTS_ROOT, { recursive: true });
+
+      // Readable name for the download; the file on disk is unique per export,
+      // so identical concurrent exports do not overwrite or delete each other
+      const fileName = `${streamId}-${formatFileTimestamp(from)}-${formatFileTimestamp(to)}.mp4`;
+      const outputPath = path.join(EXPORTS_ROOT, `${uuidv4()}.mp4`);
+      const listPath = `${outputPath}.txt`;
+
+      try {
+        await fs.promises.writeFile(listPath, entries.join('\n'));
+
+        await runFFmpeg([
+          '-f', 'concat',
+          '-safe', '0',
+          '-i', listPath,
+          '-c', 'copy',
+          '-bsf:a', 'aac_adtstoasc',
+          '-movflags', '+faststart',
+          '-y', outputPath
+        ]);
+      } finally {
+        await fs.promises.rm(listPath, { force: true });
+      }
+
+      return { filePath: outputPath, fileName, segments: entries.length };
+    } catch (error) {
+      console.error(`❌ Failed to export recording for stream ${streamId}:`, error);
+      throw error;
+    }
+  }
+
+  getActiveRecordings() {
+    return Array.from(this.recorders.values()).map(recorder => ({
+      streamId: recorder.stream._id,
+      name: recorder.stream.name,
+      mode: recorder.settings.mode,
+      startedAt: recorder.startedAt,
+      pendingEvent: !!recorder.pendingEvent
+    }));
+  }
+
+  async cleanup() {
+    for (const [streamId] of this.recorders) {
+      await this.stopRecording(streamId);
+    }
+  }
+}
+
+module.exports = new RecordingService();
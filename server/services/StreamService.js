@@ -1,14 +1,30 @@
 const Stream = require('../models/Stream');
 const Result = require('../models/Result');
 const Alert = require('../models/Alert');
+const Snapshot = require('../models/Snapshot');
+const RecordingService = require('./RecordingService');
+const LiveService = require('./LiveService');
+const AlertRuleService = require('./AlertRuleService');
+const NotificationService = require('./NotificationService');
+const { broadcastForStream, emitToStream } = require('../config/socket');
+const { UPLOADS_ROOT } = require('../utils/uploads');
 const { Worker } = require('worker_threads');
+const { v4: uuidv4 } = require('uuid');
 const path = require('path');
 const fs = require('fs');
 
+// Snapshots deleted per query by the retention cleanup
+const SNAPSHOT_CLEANUP_BATCH = 500;
+
+// A stream without a processed frame for this long is degraded, and stays
+// degraded until it has processed frames again for as long
+const STALL_TIMEOUT = 30000;
+
 class StreamService {
   constructor() {
     this.activeStreams = new Map();
     this.workers = new Map();
+    this.inferenceRequests = new Map();
     this.isInitialized = false;
   }
 
@@ -21,7 +37,8 @@ class StreamService {
         path.join(__dirname, '../../uploads'),
         path.join(__dirname, '../../uploads/videos'),
         path.join(__dirname, '../../uploads/images'),
-        path.join(__dirname, '../../uploads/recordings')
+        path.join(__dirname, '../../uploads/recordings'),
+        path.join(__dirname, '../../uploads/live')
       ];
       
       uploadDirs.forEach(dir => {
@@ -76,11 +93,15 @@ class StreamService {
         return stream;
       }
 
+      // The worker opens the source itself, so it gets the decrypted credentials
+      const streamData = stream.toObject();
+      streamData.source.credentials = stream.getCredentials();
+
       // Create worker thread for stream processing
       const worker = new Worker(path.join(__dirname, '../workers/streamWorker.js'), {
         workerData: {
           streamId: streamId.toString(),
-          streamData: stream.toObject()
+          streamData
         }
       });
 
@@ -95,7 +116,8 @@ class StreamService {
       });
 
       worker.on('exit', async (code) => {
-        if (code !== 0) {
+        // Workers shut down by stopStream are no longer tracked
+        if (code !== 0 && this.workers.get(streamId.toString()) === worker) {
           console.error(`❌ Worker stopped with exit code ${code} for stream ${streamId}`);
           await this.handleStreamError(streamId, new Error(`Worker exited with code ${code}`));
         }
@@ -112,7 +134,15 @@ class StreamService {
 
       // Update stream status
       stream.status = 'active';
+      stream.statistics.uptime = 0;
       await stream.save();
+      this.broadcastStatus(streamId, stream.status);
+
+      // Start recording if enabled in stream settings
+      await RecordingService.startRecording(stream);
+
+      // Package an HLS playlist for the live view
+      await LiveService.startLive(stream);
 
       console.log(`▶️ Stream ${stream.name} started successfully`);
       return stream;
@@ -122,25 +152,37 @@ class StreamService {
     }
   }
 
-  async stopStream(streamId) {
+  // status is what the stream is left in, 'error' when its worker failed
+  async stopStream(streamId, { status = 'inactive' } = {}) {
     try {
       const streamIdStr = streamId.toString();
       
       // Stop worker if exists
       const worker = this.workers.get(streamIdStr);
       if (worker) {
-        worker.terminate();
         this.workers.delete(streamIdStr);
+        await this.shutdownWorker(worker);
+      }
+
+      // Fail on-demand inference still waiting on this worker
+      for (const [requestId, request] of this.inferenceRequests) {
+        if (request.streamId === streamIdStr) {
+          this.settleInference(requestId, { error: 'Stream was stopped' });
+        }
       }
 
+      await RecordingService.stopRecording(streamIdStr);
+      await LiveService.stopLive(streamIdStr);
+
       // Remove from active streams
       this.activeStreams.delete(streamIdStr);
 
       // Update stream status
       const stream = await Stream.findById(streamId);
       if (stream) {
-        stream.status = 'inactive';
+        stream.status = status;
         await stream.save();
+        this.broadcastStatus(streamId, stream.status);
         console.log(`⏹️ Stream ${stream.name} stopped successfully`);
       }
 
@@ -151,6 +193,22 @@ class StreamService {
     }
   }
 
+  // Ask the worker to close its decoder pipeline before terminating the thread
+  shutdownWorker(worker, timeout = 5000) {
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        worker.terminate().then(resolve, resolve);
+      }, timeout);
+
+      worker.once('exit', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+
+      worker.postMessage({ type: 'stop' });
+    });
+  }
+
   async restartStream(streamId) {
     try {
       await this.stopStream(streamId);
@@ -162,6 +220,32 @@ class StreamService {
     }
   }
 
+  async seekStream(streamId, position) {
+    try {
+      const streamInfo = this.activeStreams.get(streamId.toString());
+      const worker = this.workers.get(streamId.toString());
+      if (!streamInfo || !worker) {
+        const error = new Error('Stream is not active');
+        error.code = 'STREAM_NOT_ACTIVE';
+        throw error;
+      }
+
+      if (streamInfo.stream.source.type !== 'file') {
+        const error = new Error('Seeking is only supported for file sources');
+        error.code = 'UNSUPPORTED_SOURCE';
+        throw error;
+      }
+
+      worker.postMessage({ type: 'seek', data: { position } });
+      // Keep the live video in step with the frames the worker analyses
+      await LiveService.seekLive(streamInfo.stream, position);
+      return true;
+    } catch (error) {
+      console.error(`❌ Failed to seek stream ${streamId}:`, error);
+      throw error;
+    }
+  }
+
   async updateStream(streamId) {
     try {
       const stream = await Stream.findById(streamId);
@@ -190,6 +274,7 @@ class StreamService {
 
       stream.status = status;
       await stream.save();
+      this.broadcastStatus(streamId, status);
 
       return stream;
     } catch (error) {
@@ -198,6 +283,11 @@ class StreamService {
     }
   }
 
+  // Let every client update its stream list without polling
+  broadcastStatus(streamId, status) {
+    broadcastForStream(streamId, 'stream-status-updated', { streamId: streamId.toString(), status });
+  }
+
   async handleWorkerMessage(streamId, message) {
     try {
       const { type, data } = message;
@@ -209,11 +299,21 @@ class StreamService {
         case 'ai_result':
           await this.handleAIResult(streamId, data);
           break;
+        case 'snapshot':
+          await this.handleSnapshot(streamId, data);
+          break;
+        case 'inference_result':
+          this.settleInference(data.requestId, data);
+          break;
         case 'error':
           await this.handleStreamError(streamId, new Error(data.message));
           break;
         case 'status_update':
           await this.updateStreamStatus(streamId, data.status);
+          // Worker finished on its own: a file source played to the end or failed to decode
+          if (data.ended && this.workers.has(streamId.toString())) {
+            await this.stopStream(streamId, { status: data.status });
+          }
           break;
         default:
           console.log(`📨 Unknown message type from stream ${streamId}:`, type);
@@ -226,15 +326,21 @@ class StreamService {
   async handleFrameProcessed(streamId, data) {
     try {
       const streamInfo = this.activeStreams.get(streamId.toString());
+      let keepHealth = false;
       if (streamInfo) {
         streamInfo.frameCount++;
         streamInfo.lastFrame = new Date();
+
+        if (streamInfo.degradedAt) {
+          keepHealth = streamInfo.lastFrame - streamInfo.degradedAt < STALL_TIMEOUT;
+          if (!keepHealth) streamInfo.degradedAt = null;
+        }
       }
 
       // Update stream statistics
       const stream = await Stream.findById(streamId);
       if (stream) {
-        await stream.updateStatistics(1, false);
+        await stream.updateStatistics(1, null, 0, { keepHealth });
       }
     } catch (error) {
       console.error(`❌ Error handling frame processed for stream ${streamId}:`, error);
@@ -248,6 +354,7 @@ class StreamService {
         streamId,
         modelType: data.modelType,
         frameNumber: data.frameNumber,
+        timestamp: data.timestamp,
         processingTime: data.processingTime,
         confidence: data.confidence,
         detections: data.detections || [],
@@ -257,18 +364,121 @@ class StreamService {
       });
 
       await result.save();
+      emitToStream(streamId, 'ai-result', result.toJSON());
 
-      // Create alert if high confidence detections found
-      if (data.detections && data.detections.length > 0) {
-        const highConfidenceDetections = data.detections.filter(d => d.confidence > 0.8);
-        if (highConfidenceDetections.length > 0) {
-          await Alert.createDetectionAlert(streamId, highConfidenceDetections, data.modelType);
+      if (result.detections.length > 0) {
+        const stream = await Stream.findById(streamId);
+        if (stream) {
+          await stream.updateStatistics(0, null, result.detections.length);
         }
       }
 
       console.log(`🤖 AI result saved for stream ${streamId}, model: ${data.modelType}`);
     } catch (error) {
-      console.error(`❌ Error handling AI result for stream ${streamId}:`, error);
+      console.error(`❌ Error saving AI result for stream ${streamId}:`, error);
+    }
+
+    // Rules are evaluated on the worker's data, so alerts are raised even if the result was not saved
+    try {
+      // Raise alerts for every alert rule the result satisfies
+      const raised = await AlertRuleService.processResult(streamId, data);
+      for (const { alert, created } of raised) {
+        // Keep pre/post-roll footage around the alert for event recordings,
+        // repeats extend the clip while the condition persists
+        await RecordingService.triggerEvent(streamId, alert, alert.title);
+        if (created) {
+          this.requestSnapshot(streamId, { trigger: 'alert', alertId: alert._id.toString() });
+        }
+        this.publishAlert(alert, created);
+      }
+    } catch (error) {
+      console.error(`❌ Error processing alert rules for stream ${streamId}:`, error);
+    }
+  }
+
+  async handleSnapshot(streamId, data) {
+    try {
+      await Snapshot.create({ streamId, ...data });
+    } catch (error) {
+      console.error(`❌ Error saving snapshot for stream ${streamId}:`, error);
+    }
+  }
+
+  // Delete snapshots older than the retention period together with their images
+  async cleanupSnapshots(retentionDays = parseInt(process.env.SNAPSHOT_RETENTION_DAYS) || 7) {
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+    const imagesRoot = path.join(UPLOADS_ROOT, 'images');
+    let deletedCount = 0;
+
+    // In batches, so a backlog of old snapshots is never loaded at once
+    for (;;) {
+      const snapshots = await Snapshot.find({ timestamp: { $lt: cutoff } })
+        .select('filePath')
+        .limit(SNAPSHOT_CLEANUP_BATCH)
+        .lean();
+      if (snapshots.length === 0) break;
+
+      await Promise.all(snapshots.map(snapshot => {
+        const filePath = path.resolve(UPLOADS_ROOT, snapshot.filePath);
+        return filePath.startsWith(imagesRoot + path.sep)
+          ? fs.promises.rm(filePath, { force: true })
+          : null;
+      }));
+
+      const result = await Snapshot.deleteMany({ _id: { $in: snapshots.map(snapshot => snapshot._id) } });
+      deletedCount += result.deletedCount;
+    }
+
+    if (deletedCount > 0) {
+      console.log(`🧹 Deleted ${deletedCount} snapshots older than ${retentionDays} days`);
+    }
+    return { deletedCount, retentionDays };
+  }
+
+  // Ask the worker to save its latest frame as a JPEG
+  requestSnapshot(streamId, options = {}) {
+    const worker = this.workers.get(streamId.toString());
+    if (!worker) {
+      return false;
+    }
+
+    worker.postMessage({ type: 'capture_snapshot', data: options });
+    return true;
+  }
+
+  // Run a model once on the worker's latest frame, outside the continuous pipeline
+  runInference(streamId, aiModel, { timeout = 30000, override = false } = {}) {
+    const streamIdStr = streamId.toString();
+    const worker = this.workers.get(streamIdStr);
+    if (!worker) {
+      return Promise.reject(new Error('Stream is not active'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const requestId = uuidv4();
+      const timer = setTimeout(() => {
+        this.settleInference(requestId, { error: `Inference timed out after ${timeout}ms` });
+      }, timeout);
+
+      this.inferenceRequests.set(requestId, { streamId: streamIdStr, resolve, reject, timer });
+      worker.postMessage({ type: 'run_inference', data: { requestId, aiModel, override } });
+    });
+  }
+
+  settleInference(requestId, { result, error }) {
+    const request = this.inferenceRequests.get(requestId);
+    if (!request) {
+      // Already timed out
+      return;
+    }
+
+    this.inferenceRequests.delete(requestId);
+    clearTimeout(request.timer);
+
+    if (error) {
+      request.reject(new Error(error));
+    } else {
+      request.resolve(result);
     }
   }
 
@@ -277,10 +487,11 @@ class StreamService {
       // Update stream status to error
       await this.updateStreamStatus(streamId, 'error');
 
-      // Create error alert
+      // Count the error and create an error alert
       const stream = await Stream.findById(streamId);
       if (stream) {
-        await Alert.createSystemAlert(
+        await stream.updateStatistics(0, error);
+        const alert = await Alert.createSystemAlert(
           streamId,
           'error',
           'Stream Processing Error',
@@ -288,6 +499,7 @@ class StreamService {
           'high',
           { error: error.message }
         );
+        this.publishAlert(alert, alert.occurrences === 1);
       }
 
       console.error(`❌ Stream error handled for ${streamId}:`, error.message);
@@ -296,6 +508,14 @@ class StreamService {
     }
   }
 
+  // Push an alert to clients; repeats folded into an existing alert were already notified
+  publishAlert(alert, created) {
+    broadcastForStream(alert.streamId, created ? 'alert-created' : 'alert-updated', alert.toJSON());
+    if (created) {
+      NotificationService.notify(alert);
+    }
+  }
+
   async monitorActiveStreams() {
     try {
       const now = new Date();
@@ -304,23 +524,25 @@ class StreamService {
         const { stream, startTime, lastFrame } = streamInfo;
         
         // Check if stream is still responsive
-        if (lastFrame && (now - lastFrame) > 30000) { // 30 seconds
+        if (lastFrame && (now - lastFrame) > STALL_TIMEOUT) {
           console.warn(`⚠️ Stream ${stream.name} appears unresponsive`);
           
           // Create warning alert
-          await Alert.createSystemAlert(
+          const alert = await Alert.createSystemAlert(
             streamId,
             'warning',
             'Stream Unresponsive',
             `Stream ${stream.name} has not processed frames in 30 seconds`,
             'medium'
           );
+          this.publishAlert(alert, alert.occurrences === 1);
+          streamInfo.degradedAt = now;
+          await Stream.setHealth(streamId, 'degraded', 'No frames processed in 30 seconds');
         }
         
-        // Update uptime
+        // Update uptime without saving the rest of the cached document
         const uptime = Math.floor((now - startTime) / 1000);
-        stream.statistics.uptime = uptime;
-        await stream.save();
+        await Stream.updateOne({ _id: streamId }, { $set: { 'statistics.uptime': uptime } });
       }
     } catch (error) {
       console.error('❌ Error monitoring active streams:', error);
@@ -0,0 +1,391 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const jpeg = require('jpeg-js');
+const { redactUrl } = require('./ffmpeg');
+
+// Drop the buffer if a camera sends this much without a complete part
+const MAX_PART_BUFFER = 10 * 1024 * 1024;
+
+// Reconnect after this many JPEG frames in a row fail to decode
+const MAX_DECODE_ERRORS = 5;
+
+const md5 = (value) => crypto.createHash('md5').update(value).digest('hex');
+
+// Parse a "WWW-Authenticate: Digest realm=..., nonce=..." challenge
+const parseDigestChallenge = (header) => {
+  const params = {};
+  header.replace(/^Digest\s+/i, '').replace(/(\w+)=(?:"([^"]*)"|([^,\s]*))/g, (match, key, quoted, plain) => {
+    params[key] = quoted !== undefined ? quoted : plain;
+    return match;
+  });
+  return params;
+};
+
+// Splits a multipart/x-mixed-replace body into parts
+class MultipartParser {
+  constructor(boundary, onPart) {
+    // Many cameras already prefix the boundary parameter with "--"
+    this.delimiter = Buffer.from(boundary.startsWith('--') ? boundary : `--${boundary}`);
+    this.onPart = onPart;
+    this.buffer = Buffer.alloc(0);
+  }
+
+  push(chunk) {
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+    while (this.readPart()) {
+      // Keep reading while complete parts are buffered
+    }
+
+    if (this.buffer.length > MAX_PART_BUFFER) {
+      this.buffer = Buffer.alloc(0);
+      throw new Error('MJPEG part exceeded maximum size');
+    }
+  }
+
+  readPart() {
+    const start = this.buffer.indexOf(this.delimiter);
+    if (start === -1) {
+      // Keep a tail in case the delimiter is split across chunks
+      this.buffer = this.buffer.slice(Math.max(0, this.buffer.length - this.delimiter.length));
+      return false;
+    }
+
+    const headerEnd = this.buffer.indexOf('\r\n\r\n', start);
+    if (headerEnd === -1) return false;
+
+    const headers = {};
+    this.buffer.slice(start + this.delimiter.length, headerEnd).toString().split('\r\n').forEach(line => {
+      const separator = line.indexOf(':');
+      if (separator > 0) {
+        headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+      }
+    });
+
+    const bodyStart = headerEnd + 4;
+    const contentLength = parseInt(headers['content-length'], 10);
+    let body;
+
+    if (!isNaN(contentLength)) {
+      if (this.buffer.length < bodyStart + contentLength) return false;
+      body = this.buffer.slice(bodyStart, bodyStart + contentLength);
+      this.buffer = this.buffer.slice(bodyStart + contentLength);
+    } else {
+      // Without Content-Length the part ends at the next delimiter
+      const next = this.buffer.indexOf(this.delimiter, bodyStart);
+      if (next === -1) return false;
+      let bodyEnd = next;
+      if (this.buffer[bodyEnd - 2] === 0x0d && this.buffer[bodyEnd - 1] === 0x0a) {
+        bodyEnd -= 2;
+      }
+      body = this.buffer.slice(bodyStart, bodyEnd);
+      this.buffer = this.buffer.slice(next);
+    }
+
+    this.onPart(headers, body);
+    return true;
+  }
+}
+
+// Reads JPEG frames from an MJPEG stream or by polling a snapshot URL
+class HTTPFrameSource extends EventEmitter {
+  constructor(options) {
+    super();
+    this.url = options.url;
+    this.credentials = options.credentials;
+    this.fps = options.fps;
+    this.timeout = options.timeout || 10000;
+    this.reconnectDelay = options.reconnectDelay || 2000;
+    this.maxReconnectDelay = options.maxReconnectDelay || 30000;
+
+    this.mode = null;
+    this.isRunning = false;
+    this.abortController = null;
+    this.pollTimer = null;
+    this.reconnectTimer = null;
+    this.reconnectAttempts = 0;
+    this.decodeErrors = 0;
+    this.digestChallenge = null;
+    this.nonceCount = 0;
+    this.frameIndex = 0;
+    this.latestJpeg = null;
+  }
+
+  start() {
+    if (this.isRunning) return;
+
+    this.isRunning = true;
+    this.connect();
+  }
+
+  buildDigestHeader(method) {
+    const { username, password = '' } = this.credentials;
+    const challenge = this.digestChallenge;
+    const parsed = new URL(this.url);
+    const uri = parsed.pathname + parsed.search;
+
+    this.nonceCount++;
+    const nc = this.nonceCount.toString(16).padStart(8, '0');
+    const cnonce = crypto.randomBytes(8).toString('hex');
+    const qop = (challenge.qop || '').split(',').map(value => value.trim()).includes('auth') ? 'auth' : null;
+
+    const ha1 = md5(`${username}:${challenge.realm}:${password}`);
+    const ha2 = md5(`${method}:${uri}`);
+    const response = qop
+      ? md5(`${ha1}:${challenge.nonce}:${nc}:${cnonce}:${qop}:${ha2}`)
+      : md5(`${ha1}:${challenge.nonce}:${ha2}`);
+
+    const parts = [
+      `username="${username}"`,
+      `realm="${challenge.realm}"`,
+      `nonce="${challenge.nonce}"`,
+      `uri="${uri}"`,
+      `response="${response}"`
+    ];
+    if (challenge.opaque) parts.push(`opaque="${challenge.opaque}"`);
+    if (challenge.algorithm) parts.push(`algorithm=${challenge.algorithm}`);
+    if (qop) parts.push(`qop=${qop}`, `nc=${nc}`, `cnonce="${cnonce}"`);
+
+    return `Digest ${parts.join(', ')}`;
+  }
+
+  // GET the source URL, answering a digest challenge if the camera sends one
+  async request(responseType) {
+    const hasCredentials = this.credentials && this.credentials.username;
+    this.abortController = new AbortController();
+
+    const send = () => {
+      const config = {
+        responseType,
+        timeout: this.timeout,
+        signal: this.abortController.signal,
+        validateStatus: () => true,
+        headers: {}
+      };
+
+      if (hasCredentials && this.digestChallenge) {
+        config.headers.Authorization = this.buildDigestHeader('GET');
+      } else if (hasCredentials) {
+        config.auth = {
+          username: this.credentials.username,
+          password: this.credentials.password || ''
+        };
+      }
+
+      return axios.get(this.url, config);
+    };
+
+    let response = await send();
+    const challenge = response.headers['www-authenticate'] || '';
+
+    if (response.status === 401 && hasCredentials && /^Digest/i.test(challenge)) {
+      if (response.data && typeof response.data.destroy === 'function') {
+        response.data.destroy();
+      }
+      this.digestChallenge = parseDigestChallenge(challenge);
+      this.nonceCount = 0;
+      response = await send();
+    }
+
+    if (response.status !== 200) {
+      if (response.data && typeof response.data.destroy === 'function') {
+        response.data.destroy();
+      }
+      // Force a fresh challenge next time in case the nonce went stale
+      this.digestChallenge = null;
+      throw new Error(`HTTP ${response.status} from ${redactUrl(this.url)}`);
+    }
+
+    return response;
+  }
+
+  async connect() {
+    try {
+      const response = await this.request('stream');
+      if (!this.isRunning) {
+        response.data.destroy();
+        return;
+      }
+
+      const contentType = response.headers['content-type'] || '';
+      const boundaryMatch = contentType.match(/boundary="?([^";]+)"?/i);
+
+      if (/multipart\/x-mixed-replace/i.test(contentType) && boundaryMatch) {
+        this.mode = 'mjpeg';
+        this.readMultipart(response.data, boundaryMatch[1].trim());
+      } else {
+        // A single image response means the URL is a snapshot endpoint
+        this.mode = 'snapshot';
+        const body = await this.readBody(response.data);
+        this.handleJpeg(body);
+        this.schedulePoll(0);
+      }
+    } catch (error) {
+      this.handleDisconnect(error);
+    }
+  }
+
+  readBody(stream) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      stream.on('data', chunk => chunks.push(chunk));
+      stream.on('end', () => resolve(Buffer.concat(chunks)));
+      stream.on('error', reject);
+    });
+  }
+
+  readMultipart(stream, boundary) {
+    // Events from a connection that has since been replaced are ignored
+    const controller = this.abortController;
+    const isCurrent = () => this.isRunning && this.abortController === controller;
+
+    const parser = new MultipartParser(boundary, (headers, body) => {
+      const type = headers['content-type'] || 'image/jpeg';
+      if (/image\/jpe?g/i.test(type) && body.length > 0) {
+        this.handleJpeg(body);
+      }
+    });
+
+    stream.on('data', (chunk) => {
+      try {
+        parser.push(chunk);
+      } catch (error) {
+        stream.destroy(error);
+      }
+    });
+
+    stream.on('error', (error) => {
+      if (isCurrent()) {
+        this.handleDisconnect(error);
+      }
+    });
+
+    stream.on('end', () => {
+      if (isCurrent()) {
+        this.handleDisconnect(new Error('MJPEG stream ended'));
+      }
+    });
+  }
+
+  schedulePoll(elapsed) {
+    if (!this.isRunning) return;
+
+    const interval = 1000 / this.fps;
+    this.pollTimer = setTimeout(() => this.poll(), Math.max(0, interval - elapsed));
+  }
+
+  async poll() {
+    this.pollTimer = null;
+    const startTime = Date.now();
+
+    try {
+      const response = await this.request('arraybuffer');
+      if (!this.isRunning) return;
+
+      this.handleJpeg(Buffer.from(response.data));
+      this.schedulePoll(Date.now() - startTime);
+    } catch (error) {
+      this.handleDisconnect(error);
+    }
+  }
+
+  handleJpeg(data) {
+    this.frameIndex++;
+
+    // Decoding is deferred to takeLatestFrame so skipped frames cost nothing
+    this.latestJpeg = {
+      data,
+      timestamp: Date.now(),
+      frameNumber: this.frameIndex
+    };
+
+    this.emit('frame', this.latestJpeg);
+  }
+
+  handleDisconnect(error) {
+    if (!this.isRunning || this.reconnectTimer) return;
+
+    if (this.pollTimer) {
+      clearTimeout(this.pollTimer);
+      this.pollTimer = null;
+    }
+
+    if (this.abortController) {
+      this.abortController.abort();
+    }
+
+    this.decodeErrors = 0;
+    this.latestJpeg = null;
+    this.emit('disconnected', { reason: redactUrl(error.message) });
+
+    const delay = Math.min(this.reconnectDelay * Math.pow(2, this.reconnectAttempts), this.maxReconnectDelay);
+    this.reconnectAttempts++;
+
+    this.emit('reconnecting', { attempt: this.reconnectAttempts, delay });
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (this.isRunning) {
+        this.connect();
+      }
+    }, delay);
+  }
+
+  // Returns the newest frame decoded to RGB24 once, or null if nothing new arrived
+  takeLatestFrame() {
+    const latest = this.latestJpeg;
+    this.latestJpeg = null;
+    if (!latest) return null;
+
+    try {
+      const image = jpeg.decode(latest.data, { useTArray: true, formatAsRGBA: false });
+
+      // Only a decodable frame shows the camera is working again
+      this.reconnectAttempts = 0;
+      this.decodeErrors = 0;
+
+      return {
+        width: image.width,
+        height: image.height,
+        data: Buffer.from(image.data.buffer, image.data.byteOffset, image.data.byteLength),
+        timestamp: latest.timestamp,
+        frameNumber: latest.frameNumber,
+        jpeg: latest.data
+      };
+    } catch (error) {
+      this.decodeErrors++;
+      this.emit('error', new Error(`Failed to decode JPEG frame: ${error.message}`));
+
+      if (this.decodeErrors >= MAX_DECODE_ERRORS) {
+        this.handleDisconnect(new Error(`${this.decodeErrors} JPEG frames in a row failed to decode`));
+      }
+      return null;
+    }
+  }
+
+  stop() {
+    this.isRunning = false;
+
+    if (this.pollTimer) {
+      clearTimeout(this.pollTimer);
+      this.pollTimer = null;
+    }
+
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+
+    if (this.abortController) {
+      this.abortController.abort();
+      this.abortController = null;
+    }
+  }
+}
+
+module.exports = {
+  HTTPFrameSource,
+  MultipartParser,
+  parseDigestChallenge
+};
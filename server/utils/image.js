@@ -0,0 +1,49 @@
+const jpeg = require('jpeg-js');
+
+// Encode an RGB24 frame as JPEG, reusing the camera's own JPEG when there is one
+const encodeJpeg = (frame, quality = 80) => {
+  if (frame.jpeg) {
+    return frame.jpeg;
+  }
+
+  // jpeg-js expects RGBA input
+  const pixels = frame.width * frame.height;
+  const rgba = Buffer.alloc(pixels * 4);
+  for (let i = 0; i < pixels; i++) {
+    rgba[i * 4] = frame.data[i * 3];
+    rgba[i * 4 + 1] = frame.data[i * 3 + 1];
+    rgba[i * 4 + 2] = frame.data[i * 3 + 2];
+    rgba[i * 4 + 3] = 255;
+  }
+
+  return jpeg.encode({ width: frame.width, height: frame.height, data: rgba }, quality).data;
+};
+
+// Nearest-neighbour resize of an RGB24 frame, enough for model input
+const resizeFrame = (frame, width, height) => {
+  if (frame.width === width && frame.height === height) {
+    return frame;
+  }
+
+  const data = Buffer.alloc(width * height * 3);
+  const xRatio = frame.width / width;
+  const yRatio = frame.height / height;
+
+  for (let y = 0; y < height; y++) {
+    const sourceRow = Math.floor(y * yRatio) * frame.width;
+    for (let x = 0; x < width; x++) {
+      const source = (sourceRow + Math.floor(x * xRatio)) * 3;
+      const target = (y * width + x) * 3;
+      data[target] = frame.data[source];
+      data[target + 1] = frame.data[source + 1];
+      data[target + 2] = frame.data[source + 2];
+    }
+  }
+
+  return { ...frame, width, height, data, jpeg: undefined };
+};
+
+module.exports = {
+  encodeJpeg,
+  resizeFrame
+};
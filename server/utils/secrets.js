@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+
+// Stored secrets look like enc:v1:<key id>:<iv>:<auth tag>:<ciphertext>, base64 parts
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+
+let warnedMissingKey = false;
+
+// 32 byte key given as 64 hex characters or as base64
+const parseKey = (value) => {
+  const text = String(value).trim();
+  const key = /^[0-9a-f]{64}$/i.test(text) ? Buffer.from(text, 'hex') : Buffer.from(text, 'base64');
+  if (key.length !== 32) {
+    throw new Error('Credential encryption keys must be 32 bytes, as 64 hex characters or base64');
+  }
+  return key;
+};
+
+// Short fingerprint stored with each secret, so the right key can be picked to decrypt it
+const keyId = (key) => crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+
+// CREDENTIALS_ENCRYPTION_KEY encrypts; it and any CREDENTIALS_ENCRYPTION_KEY_PREVIOUS
+// (comma separated) decrypt, so old secrets stay readable during a key rotation
+const loadKeys = () => {
+  const current = process.env.CREDENTIALS_ENCRYPTION_KEY;
+  const previous = (process.env.CREDENTIALS_ENCRYPTION_KEY_PREVIOUS || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+
+  const keys = [current, ...previous].filter(Boolean).map(parseKey);
+  return {
+    current: current ? keys[0] : null,
+    byId: new Map(keys.map(key => [keyId(key), key]))
+  };
+};
+
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(PREFIX);
+
+const encryptSecret = (value) => {
+  if (value == null || value === '') {
+    return value;
+  }
+
+  // Already encrypted values are kept only if they authenticate under a known key,
+  // so a crafted value cannot make the stored credentials unreadable
+  if (isEncrypted(value)) {
+    try {
+      decryptSecret(value);
+    } catch (error) {
+      throw new Error('Encrypted credentials must be readable with a configured key');
+    }
+    return value;
+  }
+
+  const { current } = loadKeys();
+  if (!current) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('CREDENTIALS_ENCRYPTION_KEY must be set to store stream credentials');
+    }
+    if (!warnedMissingKey) {
+      console.warn('⚠️ CREDENTIALS_ENCRYPTION_KEY is not set, stream credentials are stored unencrypted');
+      warnedMissingKey = true;
+    }
+    return value;
+  }
+
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, current, iv);
+  const encrypted = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+  return PREFIX + [keyId(current), iv, cipher.getAuthTag(), encrypted]
+    .map(part => (Buffer.isBuffer(part) ? part.toString('base64') : part))
+    .join(':');
+};
+
+// Values stored before encryption was enabled are returned as they are
+const decryptSecret = (value) => {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  const [id, iv, tag, encrypted] = value.slice(PREFIX.length).split(':');
+  const key = loadKeys().byId.get(id);
+  if (!key) {
+    throw new Error(`No credential encryption key matches key ${id}`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(encrypted, 'base64')), decipher.final()]).toString('utf8');
+};
+
+// Encrypt again with the current key; returns null when the value is already up to date
+const reencryptSecret = (value) => {
+  const { current } = loadKeys();
+  if (value == null || value === '' || !current) {
+    return null;
+  }
+  if (isEncrypted(value) && value.slice(PREFIX.length).startsWith(`${keyId(current)}:`)) {
+    return null;
+  }
+  return encryptSecret(decryptSecret(value));
+};
+
+// Plaintext username and password of a stream source, for connecting to it
+const decryptCredentials = (credentials) => {
+  if (!credentials) {
+    return credentials;
+  }
+  return {
+    username: decryptSecret(credentials.username),
+    password: decryptSecret(credentials.password)
+  };
+};
+
+module.exports = {
+  isEncrypted,
+  encryptSecret,
+  decryptSecret,
+  reencryptSecret,
+  decryptCredentials
+};
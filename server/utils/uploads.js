@@ -0,0 +1,19 @@
+const path = require('path');
+
+const UPLOADS_ROOT = path.join(__dirname, '../../uploads');
+
+// Resolve an /uploads/... URL stored on a stream to a path inside the uploads directory
+const resolveUploadPath = (url) => {
+  const filePath = path.resolve(UPLOADS_ROOT, String(url).replace(/^\/?uploads\//, ''));
+
+  if (!filePath.startsWith(UPLOADS_ROOT + path.sep)) {
+    throw new Error('File source must be inside the uploads directory');
+  }
+
+  return filePath;
+};
+
+module.exports = {
+  UPLOADS_ROOT,
+  resolveUploadPath
+};
@@ -1,5 +1,11 @@
 const { parentPort, workerData } = require('worker_threads');
 const path = require('path');
+const { FFmpegFrameSource } = require('../utils/ffmpeg');
+const { HTTPFrameSource } = require('../utils/httpSource');
+const { UPLOADS_ROOT, resolveUploadPath } = require('../utils/uploads');
+const { encodeJpeg } = require('../utils/image');
+const { createAdapter, getBackendName } = require('../ai/adapters');
+const fs = require('fs');
 
 // Simulate OpenCV import (in real implementation, you would use opencv4nodejs)
 // const cv = require('opencv4nodejs');
@@ -12,6 +18,12 @@ class StreamWorker {
     this.frameCount = 0;
     this.lastFrameTime = null;
     this.processingInterval = null;
+    this.frameSource = null;
+    this.sourceConnected = false;
+    this.sourceEnded = false;
+    this.lastFrame = null;
+    this.lastSnapshotTime = 0;
+    this.adapters = new Map();
   }
 
   async start() {
@@ -21,6 +33,9 @@ class StreamWorker {
       this.isRunning = true;
       this.lastFrameTime = Date.now();
       
+      // Open the frame source for network and file sources
+      this.openSource();
+      
       // Start frame processing loop
       this.processingInterval = setInterval(() => {
         this.processFrame();
@@ -46,6 +61,9 @@ class StreamWorker {
         this.processingInterval = null;
       }
       
+      this.closeSource();
+      await this.unloadAdapters();
+      
       // Send status update
       this.sendMessage('status_update', { status: 'inactive' });
       
@@ -59,13 +77,32 @@ class StreamWorker {
     if (!this.isRunning) return;
     
     try {
-      this.frameCount++;
       const frameStartTime = Date.now();
       
-      // Simulate frame capture and processing
       const frame = await this.captureFrame();
       
+      if (!frame && this.sourceEnded) {
+        await this.finishPlayback();
+        return;
+      }
+      
       if (frame) {
+        this.frameCount++;
+        if (frame.frameNumber === undefined) {
+          frame.frameNumber = this.frameCount;
+        }
+        
+        // Kept for snapshots requested when an AI result raises an alert
+        this.lastFrame = frame;
+        
+        // Periodic thumbnail
+        const snapshots = this.streamData.settings.snapshots || {};
+        const snapshotInterval = (snapshots.interval || 60) * 1000;
+        if (snapshots.enabled !== false && Date.now() - this.lastSnapshotTime >= snapshotInterval) {
+          this.lastSnapshotTime = Date.now();
+          await this.saveSnapshot(frame, { trigger: 'interval' });
+        }
+        
         // Process frame with AI models if configured
         await this.processFrameWithAI(frame);
         
@@ -75,7 +112,8 @@ class StreamWorker {
         
         // Send frame processed message
         this.sendMessage('frame_processed', {
-          frameNumber: this.frameCount,
+          frameNumber: frame.frameNumber,
+          mediaTime: frame.mediaTime,
           processingTime,
           timestamp: new Date()
         });
@@ -87,9 +125,140 @@ class StreamWorker {
     }
   }
 
+  openSource() {
+    const { source, settings } = this.streamData;
+    
+    switch (source.type) {
+      case 'rtsp':
+      case 'rtmp':
+        this.frameSource = new FFmpegFrameSource({
+          url: source.url,
+          credentials: source.credentials,
+          fps: settings.fps,
+          width: settings.resolution.width,
+          height: settings.resolution.height
+        });
+        break;
+      case 'http':
+        // MJPEG or snapshot mode is detected from the response content type
+        this.frameSource = new HTTPFrameSource({
+          url: source.url,
+          credentials: source.credentials,
+          fps: settings.fps
+        });
+        break;
+      case 'file': {
+        const playback = settings.playback || {};
+        this.sourceEnded = false;
+        this.frameSource = new FFmpegFrameSource({
+          url: resolveUploadPath(source.url),
+          fps: settings.fps,
+          width: settings.resolution.width,
+          height: settings.resolution.height,
+          // Read at native speed so playback behaves like a live camera
+          inputArgs: ['-re'],
+          startTime: playback.startTime || 0,
+          reconnect: false
+        });
+        this.frameSource.on('end', () => this.handleEndOfFile());
+        // Files are not retried, so a failed decode ends playback
+        this.frameSource.on('disconnected', ({ reason }) => this.failPlayback(reason));
+        break;
+      }
+      default:
+        return;
+    }
+    
+    this.frameSource.on('frame', () => {
+      if (!this.sourceConnected) {
+        this.sourceConnected = true;
+        console.log(`📡 Receiving frames for ${this.streamData.name}`);
+        this.sendMessage('status_update', { status: 'active' });
+      }
+    });
+    
+    this.frameSource.on('disconnected', ({ reason }) => {
+      console.warn(`⚠️ Source disconnected for ${this.streamData.name}: ${reason}`);
+      if (this.sourceConnected) {
+        this.sourceConnected = false;
+        this.sendMessage('status_update', { status: 'error' });
+      }
+    });
+    
+    this.frameSource.on('reconnecting', ({ attempt, delay }) => {
+      console.log(`🔁 Reconnecting ${this.streamData.name} in ${delay}ms (attempt ${attempt})`);
+    });
+    
+    this.frameSource.on('error', (error) => {
+      console.error(`❌ Source error for ${this.streamData.name}:`, error.message);
+      this.sendMessage('error', { message: error.message });
+    });
+    
+    this.frameSource.start();
+  }
+
+  handleEndOfFile() {
+    const playback = this.streamData.settings.playback || {};
+    
+    if (playback.mode === 'loop') {
+      console.log(`🔁 Looping ${this.streamData.name}`);
+      this.frameSource.seek(0);
+      this.frameSource.start();
+      return;
+    }
+    
+    // Let the processing loop drain the last decoded frame first
+    this.sourceEnded = true;
+  }
+
+  // Stop a file source on its own: 'inactive' at the end of the file, 'error' if it could not be decoded
+  async finishPlayback(status = 'inactive') {
+    if (status === 'inactive') {
+      console.log(`🏁 Reached end of file for ${this.streamData.name}`);
+    }
+    
+    this.isRunning = false;
+    
+    if (this.processingInterval) {
+      clearInterval(this.processingInterval);
+      this.processingInterval = null;
+    }
+    
+    this.closeSource();
+    this.sendMessage('status_update', { status, ended: true });
+  }
+
+  failPlayback(reason) {
+    if (!this.isRunning) return;
+    
+    console.error(`❌ Could not play ${this.streamData.name}: ${reason}`);
+    this.sendMessage('error', { message: `Could not play file: ${reason}` });
+    this.finishPlayback('error');
+  }
+
+  seek(position) {
+    if (!this.frameSource || this.streamData.source.type !== 'file') {
+      throw new Error('Seeking is only supported for file sources');
+    }
+    
+    this.sourceEnded = false;
+    this.frameSource.seek(position);
+    this.frameSource.start();
+  }
+
+  closeSource() {
+    if (this.frameSource) {
+      this.frameSource.stop();
+      this.frameSource.removeAllListeners('frame');
+      this.frameSource = null;
+    }
+    this.sourceConnected = false;
+    this.sourceEnded = false;
+  }
+
   async captureFrame() {
     try {
-      // Simulate frame capture based on source type
+      // Capture frame based on source type
       switch (this.streamData.source.type) {
         case 'rtsp':
         case 'rtmp':
@@ -110,34 +279,24 @@ class StreamWorker {
   }
 
   async captureFromStream() {
-    // Simulate RTSP/RTMP stream capture
-    // In real implementation, you would use opencv4nodejs or similar
-    return {
-      width: this.streamData.settings.resolution.width,
-      height: this.streamData.settings.resolution.height,
-      data: Buffer.alloc(this.streamData.settings.resolution.width * this.streamData.settings.resolution.height * 3),
-      timestamp: Date.now()
-    };
+    // Latest frame decoded by ffmpeg, null until a new one arrives
+    return this.frameSource ? this.frameSource.takeLatestFrame() : null;
   }
 
   async captureFromHTTP() {
-    // Simulate HTTP stream capture
-    return {
-      width: this.streamData.settings.resolution.width,
-      height: this.streamData.settings.resolution.height,
-      data: Buffer.alloc(this.streamData.settings.resolution.width * this.streamData.settings.resolution.height * 3),
-      timestamp: Date.now()
-    };
+    // Latest JPEG from the camera decoded to RGB, at the camera's own resolution
+    return this.frameSource ? this.frameSource.takeLatestFrame() : null;
   }
 
   async captureFromFile() {
-    // Simulate file-based video capture
-    return {
-      width: this.streamData.settings.resolution.width,
-      height: this.streamData.settings.resolution.height,
-      data: Buffer.alloc(this.streamData.settings.resolution.width * this.streamData.settings.resolution.height * 3),
-      timestamp: Date.now()
-    };
+    const frame = this.frameSource ? this.frameSource.takeLatestFrame() : null;
+    
+    if (frame) {
+      // Frame position within the file rather than frames decoded so far
+      frame.frameNumber = Math.round(frame.mediaTime * this.frameSource.fps);
+    }
+    
+    return frame;
   }
 
   async captureFromCamera() {
@@ -167,15 +326,19 @@ class StreamWorker {
     try {
       const startTime = Date.now();
       
-      // Simulate AI processing
-      const result = await this.simulateAIProcessing(frame, aiModel);
+      const adapter = await this.getAdapter(aiModel);
+      if (!adapter) return;
+      
+      const result = await adapter.infer(frame);
       
       const processingTime = Date.now() - startTime;
       
       // Send AI result
       this.sendMessage('ai_result', {
         modelType: aiModel.modelType,
-        frameNumber: this.frameCount,
+        frameNumber: frame.frameNumber,
+        // Capture time of the frame, used to line results up with the live video
+        timestamp: frame.timestamp,
         processingTime,
         confidence: result.confidence,
         detections: result.detections,
@@ -199,147 +362,144 @@ class StreamWorker {
     }
   }
 
-  async simulateAIProcessing(frame, aiModel) {
-    // Simulate processing time based on model type
-    const processingTimes = {
-      'object-detection': 100,
-      'defect-analysis': 200,
-      'face-recognition': 300,
-      'motion-detection': 50
-    };
-    
-    const processingTime = processingTimes[aiModel.modelType] || 100;
-    await new Promise(resolve => setTimeout(resolve, processingTime));
-    
-    // Generate simulated results based on model type
-    switch (aiModel.modelType) {
-      case 'object-detection':
-        return this.generateObjectDetectionResult(aiModel);
-      case 'defect-analysis':
-        return this.generateDefectAnalysisResult(aiModel);
-      case 'face-recognition':
-        return this.generateFaceRecognitionResult(aiModel);
-      case 'motion-detection':
-        return this.generateMotionDetectionResult(aiModel);
-      default:
-        return { confidence: 0.5, detections: [], analysis: {} };
-    }
-  }
-
-  generateObjectDetectionResult(aiModel) {
-    const objects = ['person', 'car', 'bicycle', 'dog', 'cat', 'chair', 'table'];
-    const detections = [];
-    const numDetections = Math.floor(Math.random() * 5) + 1;
+  // On-demand inference requested through the AI service
+  async runInference({ requestId, aiModel, override }) {
+    let adapter = null;
+    let temporary = false;
     
-    for (let i = 0; i < numDetections; i++) {
-      detections.push({
-        label: objects[Math.floor(Math.random() * objects.length)],
-        confidence: Math.random() * 0.3 + 0.7,
-        bbox: {
-          x: Math.random() * 600,
-          y: Math.random() * 400,
-          width: Math.random() * 200 + 50,
-          height: Math.random() * 200 + 50
-        },
-        classId: Math.floor(Math.random() * 100)
+    try {
+      const frame = this.lastFrame;
+      if (!frame) {
+        throw new Error('No frame received from the stream yet');
+      }
+      
+      // Reuse the stream's own model unless the request overrides its parameters,
+      // so stateful models such as motion detection keep their history
+      const configured = this.streamData.aiModels.find(model =>
+        model.modelType === aiModel.modelType && model.isActive
+      );
+      if (configured && !override) {
+        adapter = await this.getAdapter(configured);
+        if (!adapter) {
+          throw new Error(`Failed to load ${aiModel.modelType} model`);
+        }
+      } else {
+        adapter = await createAdapter(aiModel);
+        temporary = true;
+      }
+      
+      const startTime = Date.now();
+      const result = await adapter.infer(frame);
+      
+      this.sendMessage('inference_result', {
+        requestId,
+        result: {
+          modelType: aiModel.modelType,
+          frameNumber: frame.frameNumber,
+          timestamp: frame.timestamp,
+          processingTime: Date.now() - startTime,
+          confidence: result.confidence,
+          detections: result.detections,
+          analysis: result.analysis,
+          imageData: {
+            originalSize: { width: frame.width, height: frame.height },
+            processedSize: { width: frame.width, height: frame.height },
+            format: 'jpeg',
+            quality: 0.8
+          }
+        }
       });
+    } catch (error) {
+      console.error(`❌ On-demand inference failed for ${aiModel.modelType}:`, error.message);
+      this.sendMessage('inference_result', { requestId, error: error.message });
+    } finally {
+      if (temporary && adapter) {
+        await adapter.unload();
+      }
     }
-    
-    return {
-      confidence: Math.random() * 0.3 + 0.7,
-      detections,
-      analysis: {}
-    };
   }
 
-  generateDefectAnalysisResult(aiModel) {
-    const defects = ['scratch', 'crack', 'discoloration', 'misalignment'];
-    const analysis = { defects: [] };
+  // One loaded adapter per model type, created on first use
+  async getAdapter(aiModel) {
+    const backend = getBackendName(aiModel);
+    let entry = this.adapters.get(aiModel.modelType);
     
-    if (Math.random() > 0.7) { // 30% chance of defect
-      const numDefects = Math.floor(Math.random() * 3) + 1;
+    if (!entry || entry.backend !== backend) {
+      if (entry) {
+        await this.unloadAdapter(aiModel.modelType);
+      }
       
-      for (let i = 0; i < numDefects; i++) {
-        analysis.defects.push({
-          type: defects[Math.floor(Math.random() * defects.length)],
-          severity: ['low', 'medium', 'high'][Math.floor(Math.random() * 3)],
-          location: {
-            x: Math.random() * 600,
-            y: Math.random() * 400,
-            width: Math.random() * 100 + 20,
-            height: Math.random() * 100 + 20
-          },
-          description: `Detected defect in the image`,
-          confidence: Math.random() * 0.3 + 0.7
+      entry = { backend, adapter: null, failed: false };
+      entry.loading = createAdapter(aiModel)
+        .then(adapter => {
+          entry.adapter = adapter;
+          console.log(`🧠 Loaded ${backend} backend for ${aiModel.modelType} on ${this.streamData.name}`);
+        })
+        .catch(error => {
+          // Skip the model until the configuration changes rather than retrying every frame
+          entry.failed = true;
+          console.error(`❌ Failed to load ${backend} backend for ${aiModel.modelType}:`, error.message);
+          this.sendMessage('error', { message: `Failed to load ${aiModel.modelType} model: ${error.message}` });
         });
-      }
+      this.adapters.set(aiModel.modelType, entry);
     }
     
-    return {
-      confidence: Math.random() * 0.3 + 0.7,
-      detections: [],
-      analysis
-    };
+    await entry.loading;
+    return entry.failed ? null : entry.adapter;
   }
 
-  generateFaceRecognitionResult(aiModel) {
-    const faces = ['John Doe', 'Jane Smith', 'Unknown Person'];
-    const analysis = { faces: [] };
+  async unloadAdapter(modelType) {
+    const entry = this.adapters.get(modelType);
+    this.adapters.delete(modelType);
     
-    const numFaces = Math.floor(Math.random() * 3) + 1;
+    if (!entry) return;
     
-    for (let i = 0; i < numFaces; i++) {
-      analysis.faces.push({
-        id: `face_${Date.now()}_${i}`,
-        name: faces[Math.floor(Math.random() * faces.length)],
-        confidence: Math.random() * 0.3 + 0.7,
-        bbox: {
-          x: Math.random() * 600,
-          y: Math.random() * 400,
-          width: Math.random() * 100 + 50,
-          height: Math.random() * 100 + 50
-        },
-        landmarks: Array.from({ length: 5 }, () => ({
-          x: Math.random() * 100,
-          y: Math.random() * 100
-        }))
-      });
+    try {
+      await entry.loading;
+      if (entry.adapter) {
+        await entry.adapter.unload();
+      }
+    } catch (error) {
+      console.error(`❌ Error unloading ${modelType} backend:`, error);
     }
-    
-    return {
-      confidence: Math.random() * 0.3 + 0.7,
-      detections: [],
-      analysis
-    };
   }
 
-  generateMotionDetectionResult(aiModel) {
-    const analysis = {
-      motion: {
-        detected: Math.random() > 0.5,
-        regions: []
-      }
-    };
-    
-    if (analysis.motion.detected) {
-      const numRegions = Math.floor(Math.random() * 3) + 1;
+  async unloadAdapters() {
+    for (const modelType of [...this.adapters.keys()]) {
+      await this.unloadAdapter(modelType);
+    }
+  }
+
+  async saveSnapshot(frame, { trigger, alertId } = {}) {
+    try {
+      if (!frame) return null;
       
-      for (let i = 0; i < numRegions; i++) {
-        analysis.motion.regions.push({
-          x: Math.random() * 600,
-          y: Math.random() * 400,
-          width: Math.random() * 200 + 50,
-          height: Math.random() * 200 + 50,
-          intensity: Math.random() * 0.5 + 0.5
-        });
-      }
+      const image = encodeJpeg(frame);
+      const timestamp = new Date(frame.timestamp);
+      const fileName = `${timestamp.toISOString().replace(/[:.]/g, '-')}-${trigger}.jpg`;
+      const dir = path.join(UPLOADS_ROOT, 'images', this.streamId);
+      
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(path.join(dir, fileName), image);
+      
+      const snapshot = {
+        filePath: path.join('images', this.streamId, fileName),
+        fileName,
+        timestamp,
+        frameNumber: frame.frameNumber,
+        trigger,
+        alertId,
+        width: frame.width,
+        height: frame.height,
+        size: image.length
+      };
+      
+      this.sendMessage('snapshot', snapshot);
+      return snapshot;
+    } catch (error) {
+      console.error(`❌ Error saving snapshot:`, error);
+      return null;
     }
-    
-    return {
-      confidence: Math.random() * 0.3 + 0.7,
-      detections: [],
-      analysis
-    };
   }
 
   sendMessage(type, data) {
@@ -367,14 +527,29 @@ parentPort.on('message', async (message) => {
         break;
       case 'stop':
         await worker.stop();
+        // Let the thread exit once the decoder has shut down
+        parentPort.close();
         break;
       case 'restart':
         await worker.stop();
         await new Promise(resolve => setTimeout(resolve, 1000));
         await worker.start();
         break;
+      case 'run_inference':
+        await worker.runInference(data);
+        break;
+      case 'capture_snapshot':
+        await worker.saveSnapshot(worker.lastFrame, data);
+        break;
+      case 'seek':
+        worker.seek(data.position);
+        break;
       case 'update_config':
         worker.streamData = { ...worker.streamData, ...data };
+        if (data.aiModels) {
+          // Reload models so new parameters take effect
+          await worker.unloadAdapters();
+        }
         break;
       default:
         console.log(`Unknown message type: ${type}`);